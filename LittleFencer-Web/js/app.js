@@ -9,10 +9,16 @@ import { PoseDetector } from './pose.js';
 import { FencingStateEngine } from './engine.js';
 import { AudioFeedbackManager } from './feedback.js';
 import { VideoRecorder } from './recorder.js';
+import { PoseTrackRecorder, buildPoseTrack } from './posetrack.js';
+import { VideoFileAnalyzer } from './videoanalysis.js';
 import { UIManager } from './ui.js';
 import { SkeletonRenderer } from './skeleton.js';
+import { VideoCompositor } from './compositor.js';
 import { platform, requestWakeLock } from './platform.js';
 import { videoStorage } from './storage.js';
+import { CalibrationSession, CalibrationStep, calibrationStore } from './calibration.js';
+import { fencerProfiles } from './profiles.js';
+import { buildClipActions } from './reps.js';
 
 class LittleFencerApp {
     constructor() {
@@ -22,32 +28,51 @@ class LittleFencerApp {
         this.engine = null;
         this.feedback = null;
         this.recorder = null;
+        this.poseTrackRecorder = null;
         this.ui = null;
         this.skeleton = null;
+        this.compositor = null;
         
         // State
         this.isRunning = false;
+        this.isAnalyzing = false;   // Analysing a video file instead of the camera
+        this.analyzer = null;
         this.isInitialized = false;
         this.frameCount = 0;
         this.lastFpsTime = 0;
         this.fps = 0;
         this.sessionStartTime = null;
         this.wakeLock = null;
+        this.autoStopTimer = null;
+        this.sessionReps = [];      // Rep records of this training session
+        this.recordingReps = [];    // Rep records of the actions in the current recording
+        this.isAutoRecording = false;  // Current recording was started by an action, not the record button
+        this.recordingCorrections = [];  // Correction messages shown during it { time, message, type }
+        
+        // Active fencer: owns settings, badges, calibration, sessions and videos
+        this.fencer = fencerProfiles.getActive();
         
         // Stats
         this.stats = {
             actionCount: 0,
             perfectCount: 0,
             comboCount: 0,
-            maxCombo: 0
+            maxCombo: 0,
+            totalScore: 0,
+            averageScore: 0,  // 0-100 form score across the session's actions
+            bestScore: 0
         };
         
-        // Settings
-        this.settings = {
+        // Settings (per fencer)
+        this.defaultSettings = {
             voiceEnabled: true,
             soundEnabled: true,
             skeletonEnabled: true,
-            autoRecordEnabled: true
+            autoRecordEnabled: true,
+            preRollSeconds: 2,   // Lead-up kept before an auto-recorded clip's trigger
+            recordingStyle: 'clean',  // 'clean' camera only, 'annotated' with skeleton and labels
+            clipMode: 'action',  // 'action' one auto-recorded clip per action, 'continuous' through back-to-back actions
+            correctionRules: {}  // Coach adjustments per correction rule id
         };
         
         this.loadSettings();
@@ -61,6 +86,10 @@ class LittleFencerApp {
         });
     }
     
+    get fencerId() {
+        return this.fencer.id;
+    }
+    
     /**
      * Initialize the app
      */
@@ -93,6 +122,8 @@ class LittleFencerApp {
             
             // Initialize fencing state engine
             this.engine = new FencingStateEngine();
+            this.engine.setHandedness(this.fencer.handedness);
+            this.applyCorrectionRules();
             
             // Initialize feedback manager
             this.feedback = new AudioFeedbackManager();
@@ -100,20 +131,26 @@ class LittleFencerApp {
             
             this.updateLoadingProgress(90, '初始化录像模块...');
             
-            // Initialize video recorder
-            this.recorder = new VideoRecorder();
+            // Initialize video recorder; clips are written to IndexedDB as they record
+            this.recorder = new VideoRecorder({ storage: videoStorage });
+            this.poseTrackRecorder = new PoseTrackRecorder();
             
             // Initialize skeleton renderer
             this.skeleton = new SkeletonRenderer('skeleton-canvas');
+            this.compositor = new VideoCompositor();
             
             // Initialize video storage (IndexedDB)
             await videoStorage.init();
             console.log('[App] Video storage initialized');
+            // Done before training can start, so recovery and new clips never overlap
+            await this.recoverRecordings();
             
             this.updateLoadingProgress(100, '准备就绪！');
             
             // Setup event handlers
             this.setupEventHandlers();
+            this.ui.updateFencer(this.fencer);
+            this.ui.updateCalibrationStatus(calibrationStore.load(this.fencerId));
             
             // Register service worker
             this.registerServiceWorker();
@@ -174,14 +211,18 @@ class LittleFencerApp {
             this.handleStateChange(state, data);
         };
         
-        this.engine.onActionDetected = (action, quality, feedback) => {
-            this.handleActionDetected(action, quality, feedback);
+        this.engine.onActionDetected = (action, quality, feedback, rep) => {
+            this.handleActionDetected(action, quality, feedback, rep);
         };
         
         this.engine.onFeedback = (message, type) => {
             this.handleFeedback(message, type);
         };
         
+        this.engine.onAngleModeChange = (mode) => {
+            this.ui.updateAngleMode(mode);
+        };
+        
         // Pose detector callback
         this.poseDetector.onResults = (results) => {
             this.handlePoseResults(results);
@@ -206,7 +247,7 @@ class LittleFencerApp {
      * Start training session
      */
     async start() {
-        if (this.isRunning) return;
+        if (this.isRunning || this.isAnalyzing) return;
         
         console.log('[App] Starting training session...');
         
@@ -224,9 +265,15 @@ class LittleFencerApp {
         
         // Update state
         this.isRunning = true;
+        this.updateRecordingSources();
         this.sessionStartTime = Date.now();
+        this.sessionReps = [];
         this.resetStats();
         
+        // Load the fencer's handedness and personal thresholds
+        this.engine.setHandedness(this.fencer.handedness);
+        this.engine.applyProfile(calibrationStore.load(this.fencerId));
+        
         // Update UI
         this.ui.setTrainingState(true);
         this.ui.showFeedback('开始训练！摆出 En Garde 姿势', 'success');
@@ -246,18 +293,22 @@ class LittleFencerApp {
     /**
      * Stop training session
      */
-    stop() {
+    async stop() {
         if (!this.isRunning) return;
         
         console.log('[App] Stopping training session...');
         
         // Stop pose detection
         this.poseDetector.stop();
+        this.isRunning = false;
         
-        // Stop recording if active
-        if (this.recorder.isRecording) {
-            this.recorder.stop();
-        }
+        // Save a recording in progress, then stop the pre-roll buffer
+        clearTimeout(this.autoStopTimer);
+        this.autoStopTimer = null;
+        await this.stopRecording();
+        this.recorder.stopBuffering();
+        this.poseTrackRecorder.setBufferMs(0);
+        this.compositor.stop();
         
         // Release wake lock
         if (this.wakeLock) {
@@ -266,13 +317,15 @@ class LittleFencerApp {
         }
         
         // Update state
-        this.isRunning = false;
+        this.saveSession();
         
         // Reset engine
         this.engine.reset();
         
         // Update UI
         this.ui.setTrainingState(false);
+        this.ui.updateAngleMode(null);
+        this.ui.hideCalibration();
         this.skeleton.clear();
         
         // Stop timers
@@ -294,6 +347,147 @@ class LittleFencerApp {
         }
     }
     
+    /**
+     * Run a guided calibration: hold En Garde, then a few slow lunges.
+     * The resulting profile is saved for the current fencer and used at
+     * every session start.
+     */
+    async startCalibration() {
+        if (!this.isRunning) {
+            await this.start();
+        }
+        
+        const session = new CalibrationSession();
+        let lastStep = null;
+        
+        session.onProgress = (progress) => {
+            this.ui.showCalibration(progress);
+            
+            // Announce each new step
+            if (progress.step !== lastStep) {
+                lastStep = progress.step;
+                if (this.settings.voiceEnabled && progress.step === CalibrationStep.LUNGES) {
+                    this.feedback.speak(`很好！现在慢慢做 ${progress.lungeCount} 次弓步`);
+                }
+            }
+        };
+        
+        session.onComplete = (profile) => {
+            calibrationStore.save(this.fencerId, profile);
+            console.log('[App] Calibration saved:', profile);
+            
+            this.ui.hideCalibration();
+            this.ui.updateCalibrationStatus(profile);
+            this.ui.showFeedback('校准完成！已使用你的个人标准', 'success');
+            
+            if (this.settings.voiceEnabled) {
+                this.feedback.speak('校准完成');
+            }
+        };
+        
+        this.engine.beginCalibration(session);
+        this.ui.showCalibration({
+            step: CalibrationStep.EN_GARDE,
+            progress: 0,
+            lunges: 0,
+            lungeCount: session.thresholds.LUNGE_COUNT
+        });
+        
+        if (this.settings.voiceEnabled) {
+            this.feedback.speak('开始校准，请摆出预备姿势并保持不动');
+        }
+    }
+    
+    /**
+     * Abandon a running calibration; the previous profile stays in use
+     */
+    cancelCalibration() {
+        this.engine.cancelCalibration();
+        this.ui.hideCalibration();
+    }
+    
+    /**
+     * Drop the current fencer's profile and go back to default thresholds
+     */
+    resetCalibration() {
+        calibrationStore.remove(this.fencerId);
+        this.engine.applyProfile(null);
+        this.ui.updateCalibrationStatus(null);
+    }
+    
+    /**
+     * Analyse a video file filmed elsewhere, e.g. a parent's phone recording of
+     * a lesson. Frames go through the same engine as a live session, timed by
+     * the file, and the result is saved as a session of the current fencer.
+     */
+    async analyzeVideoFile(file) {
+        if (!this.isInitialized || this.isAnalyzing) return;
+        
+        if (this.isRunning) {
+            await this.stop();
+        }
+        
+        console.log('[App] Analyzing video file:', file.name);
+        
+        this.isAnalyzing = true;
+        this.sessionStartTime = Date.now();
+        this.sessionReps = [];
+        this.resetStats();
+        this.engine.reset();
+        this.engine.setHandedness(this.fencer.handedness);
+        this.engine.applyProfile(calibrationStore.load(this.fencerId));
+        this.ui.showAnalysis(0);
+        
+        this.analyzer = new VideoFileAnalyzer(this.poseDetector);
+        
+        try {
+            const { duration, cancelled } = await this.analyzer.analyze(file, {
+                onMetadata: ({ width, height }) => this.engine.setFrameAspect(width / height),
+                onFrame: (results, timestamp) => this.handleAnalysisFrame(results, timestamp),
+                onProgress: (fraction) => this.ui.showAnalysis(fraction)
+            });
+            
+            if (!cancelled) {
+                this.saveSession({ duration: Math.round(duration), source: 'file' });
+            }
+            this.showSessionSummary('分析完成');
+        } catch (error) {
+            console.error('[App] Video analysis failed:', error);
+            this.ui.showFeedback('无法分析此视频', 'error');
+        } finally {
+            this.analyzer = null;
+            this.isAnalyzing = false;
+            this.engine.reset();
+            this.skeleton.clear();
+            this.ui.hideAnalysis();
+        }
+    }
+    
+    /**
+     * Stop a video file analysis; what was found so far stays on screen
+     */
+    cancelAnalysis() {
+        if (this.analyzer) {
+            this.analyzer.cancel();
+        }
+    }
+    
+    /**
+     * Handle one analysed frame of a video file, timed by the file
+     */
+    handleAnalysisFrame(results, timestamp) {
+        if (results.poseLandmarks) {
+            this.engine.processPose(results.poseLandmarks, results.poseWorldLandmarks, timestamp);
+            
+            if (this.settings.skeletonEnabled) {
+                this.skeleton.render(results.poseLandmarks, this.engine.getCurrentQuality());
+            }
+        } else {
+            this.skeleton.clear();
+            this.engine.handleNoPose(timestamp);
+        }
+    }
+    
     /**
      * Handle pose detection results
      */
@@ -303,19 +497,27 @@ class LittleFencerApp {
         // Update FPS
         this.frameCount++;
         
+        // One timestamp for the engine and the pose track, so the track replays exactly
+        const now = Date.now();
+        const { width, height } = this.camera.getDimensions();
+        this.engine.setFrameAspect(width / height);
+        this.poseTrackRecorder.addFrame(now, results.poseLandmarks, results.poseWorldLandmarks);
+        
         // Process pose with engine
         if (results.poseLandmarks) {
-            this.engine.processPose(results.poseLandmarks, results.poseWorldLandmarks);
+            this.engine.processPose(results.poseLandmarks, results.poseWorldLandmarks, now);
             
             // Render skeleton
+            const quality = this.engine.getCurrentQuality();
             if (this.settings.skeletonEnabled) {
-                const quality = this.engine.getCurrentQuality();
                 this.skeleton.render(results.poseLandmarks, quality);
             }
+            this.compositor.setPose(results.poseLandmarks, quality);
         } else {
             // No pose detected
             this.skeleton.clear();
-            this.engine.handleNoPose();
+            this.compositor.setPose(null);
+            this.engine.handleNoPose(now);
         }
     }
     
@@ -327,41 +529,72 @@ class LittleFencerApp {
         
         // Update UI status
         this.ui.setStatus(state, data);
+        this.compositor.setState(state);
         
         // Handle specific states
         switch (state) {
             case 'EN_GARDE':
-                if (this.settings.voiceEnabled) {
+                // Back from a step: the fencer never left their guard
+                if (data.previousState === 'ADVANCING' || data.previousState === 'RETREATING') {
+                    this.scheduleAutoStop();
+                } else if (this.settings.voiceEnabled && !this.isAnalyzing) {
                     this.feedback.speak('好！保持姿势');
                 }
                 break;
                 
+            case 'ADVANCING':
+            case 'RETREATING':
             case 'LUNGING':
-                // Auto-start recording on action
-                if (this.settings.autoRecordEnabled && !this.recorder.isRecording) {
-                    this.startRecording();
+                // Auto-start recording on action, or keep going through the next one
+                clearTimeout(this.autoStopTimer);
+                this.autoStopTimer = null;
+                if (!this.settings.autoRecordEnabled || this.isAnalyzing) break;
+                
+                if (!this.recorder.isRecording) {
+                    this.startRecording({ preRoll: true, auto: true });
+                } else if (this.isAutoRecording && this.settings.clipMode === 'action' && this.recordingReps.length > 0) {
+                    // The clip already holds its action: end it here and give the next one its own
+                    this.stopRecording().then(() => this.startRecording({ preRoll: true, auto: true }));
                 }
                 break;
                 
             case 'RECOVERY':
-                // Stop recording after action
-                if (this.settings.autoRecordEnabled && this.recorder.isRecording) {
-                    setTimeout(() => {
-                        this.stopRecording();
-                    }, 1000);
-                }
+                this.scheduleAutoStop();
                 break;
         }
     }
     
+    /**
+     * Stop an auto-recording shortly after an action, unless another action
+     * starts first
+     */
+    scheduleAutoStop() {
+        if (!this.settings.autoRecordEnabled || !this.recorder.isRecording) return;
+        
+        clearTimeout(this.autoStopTimer);
+        this.autoStopTimer = setTimeout(() => {
+            this.autoStopTimer = null;
+            this.stopRecording();
+        }, 1000);
+    }
+    
     /**
      * Handle action detected from engine
      */
-    handleActionDetected(action, quality, feedbackText) {
-        console.log('[App] Action detected:', action, quality, feedbackText);
+    handleActionDetected(action, quality, feedbackText, rep) {
+        console.log('[App] Action detected:', action, quality, rep.score, feedbackText);
         
         // Update stats
         this.stats.actionCount++;
+        this.stats.totalScore += rep.score;
+        this.stats.averageScore = Math.round(this.stats.totalScore / this.stats.actionCount);
+        this.stats.bestScore = Math.max(this.stats.bestScore, rep.score);
+        
+        // Keep the rep for review
+        this.sessionReps.push(rep);
+        if (this.recorder.isRecording) {
+            this.recordingReps.push(rep);
+        }
         
         if (quality === 'PERFECT') {
             this.stats.perfectCount++;
@@ -372,20 +605,21 @@ class LittleFencerApp {
         }
         
         // Update UI
-        this.ui.showAction(action, quality);
+        this.ui.showAction(action, quality, rep);
+        this.compositor.showAction(action, quality, rep);
         this.ui.updateStats(this.stats);
         this.ui.setCombo(this.stats.comboCount);
         
         // Check for badges
         this.ui.checkBadges(this.stats);
         
-        // Play sound
-        if (this.settings.soundEnabled) {
+        // Play sound (a video file is analysed faster or slower than real time: stay quiet)
+        if (this.settings.soundEnabled && !this.isAnalyzing) {
             this.feedback.playActionSound(quality);
         }
         
         // Speak feedback
-        if (this.settings.voiceEnabled && feedbackText) {
+        if (this.settings.voiceEnabled && !this.isAnalyzing && feedbackText) {
             this.feedback.speak(feedbackText);
         }
     }
@@ -394,24 +628,85 @@ class LittleFencerApp {
      * Handle feedback message from engine
      */
     handleFeedback(message, type) {
+        if (this.recorder.isRecording) {
+            this.recordingCorrections.push({ time: this.engine.currentTime, message, type });
+        }
+        
         // Show visual feedback
         this.ui.showFeedback(message, type);
         
         // Speak correction feedback
-        if (this.settings.voiceEnabled && type === 'error') {
+        if (this.settings.voiceEnabled && !this.isAnalyzing && (type === 'error' || type === 'warning')) {
             this.feedback.speak(message);
         }
     }
     
+    /**
+     * Stream clips are recorded from: the camera, or the compositor's
+     * annotated frames
+     */
+    getRecordingStream() {
+        return this.settings.recordingStyle === 'annotated' ? this.compositor.stream : this.camera.getStream();
+    }
+    
+    /**
+     * Run the compositor for annotated clips, and keep the pre-roll buffer
+     * running while training with auto-record on. Changes wait until a clip
+     * being recorded has ended.
+     */
+    updateRecordingSources() {
+        if (this.recorder.isRecording) return;
+        
+        if (this.isRunning && this.settings.recordingStyle === 'annotated') {
+            this.compositor.start(this.camera.videoElement, this.camera.facingMode === 'user');
+        } else {
+            this.compositor.stop();
+        }
+        
+        const preRollMs = this.settings.preRollSeconds * 1000;
+        const wanted = this.isRunning && this.settings.autoRecordEnabled && preRollMs > 0;
+        
+        this.recorder.preRollMs = preRollMs;
+        if (wanted) {
+            this.recorder.startBuffering(this.getRecordingStream());
+        } else {
+            this.recorder.stopBuffering();
+        }
+        this.poseTrackRecorder.setBufferMs(this.recorder.isBuffering ? preRollMs : 0);
+    }
+    
     /**
      * Start video recording
+     * @param {Object} options { preRoll }: include the buffered lead-up;
+     *     { auto }: started by an action, so split per action in 'action' clip mode
      */
-    async startRecording() {
+    async startRecording({ preRoll = false, auto = false } = {}) {
         if (this.recorder.isRecording) return;
         
         try {
-            const stream = this.camera.getStream();
-            await this.recorder.start(stream);
+            const stream = this.getRecordingStream();
+            const trackInfo = {
+                device: this.getDeviceInfo(),
+                settings: {
+                    handedness: this.fencer.handedness,
+                    profile: this.engine.profile,
+                    correctionRules: this.settings.correctionRules,
+                    frameAspect: this.engine.frameAspect
+                }
+            };
+            await this.recorder.start(stream, {
+                preRoll,
+                info: { fencerId: this.fencerId, annotated: this.settings.recordingStyle === 'annotated', track: trackInfo }
+            });
+            this.isAutoRecording = auto;
+            // Actions still under way when the clip starts belong to it too, unless
+            // every action gets its own clip
+            this.recordingReps = auto && this.settings.clipMode === 'action'
+                ? []
+                : this.sessionReps.filter(rep => rep.endTime >= this.recorder.startTime);
+            this.recordingCorrections = [];
+            // The track is spooled with the video, and recovered with it
+            this.poseTrackRecorder.start({ fencerId: this.fencerId, ...trackInfo }, this.recorder.startTime, this.recorder.spool);
             this.ui.setRecordingState(true);
         } catch (error) {
             console.error('[App] Failed to start recording:', error);
@@ -425,12 +720,21 @@ class LittleFencerApp {
         if (!this.recorder.isRecording) return;
         
         try {
+            const startTime = this.recorder.startTime;
+            const spool = this.recorder.spool;  // On disk until saved as a video
             const blob = await this.recorder.stop();
+            const track = await this.poseTrackRecorder.stop();
             this.ui.setRecordingState(false);
             
-            // Save to gallery
+            // Apply buffer changes made during the clip, e.g. a flipped camera
+            this.updateRecordingSources();
+            
+            // Save to gallery; nothing to save if the recorder failed or delivered
+            // nothing, so its chunks aren't recovered as a video either
             if (blob) {
-                this.saveRecording(blob);
+                this.saveRecording(blob, { track, startTime, spool });
+            } else {
+                spool?.delete();
             }
         } catch (error) {
             console.error('[App] Failed to stop recording:', error);
@@ -449,22 +753,73 @@ class LittleFencerApp {
     }
     
     /**
-     * Save recording to gallery
+     * Camera and pose model a recording was made with, stored with its pose track
      */
-    async saveRecording(blob) {
-        const quality = this.stats.comboCount >= 3 ? 'starred' : 'normal';
+    getDeviceInfo() {
+        return {
+            userAgent: navigator.userAgent,
+            os: platform.isIOS ? 'ios' : platform.isAndroid ? 'android' : 'desktop',
+            camera: { ...this.camera.getDimensions(), facingMode: this.camera.facingMode },
+            poseOptions: platform.getMediaPipeOptions()
+        };
+    }
+    
+    /**
+     * Save recording and its pose track to gallery. The clip is described by
+     * the actions in it: their type, quality, score, feedback and phase offsets.
+     * @param {Blob} blob Video
+     * @param {Object} options { track } pose track, { startTime } of the clip (ms, engine clock),
+     *     { spool } the clip's chunks on disk, removed once the video is saved
+     */
+    async saveRecording(blob, { track = null, startTime = null, spool = null } = {}) {
+        const reps = this.recordingReps;
+        const clipStart = startTime ?? 0;
+        const actions = buildClipActions(reps, clipStart, this.recordingCorrections);
+        const scores = reps.map(rep => rep.score);
+        const actionTypes = [...new Set(reps.map(rep => rep.action))];
+        // A clip is only as good as its weakest action
+        const qualityOrder = ['POOR', 'ACCEPTABLE', 'GOOD', 'PERFECT'];
+        const quality = reps.length > 0
+            ? qualityOrder.find(level => reps.some(rep => rep.quality === level))
+            : 'normal';
+        
         const video = {
+            fencerId: this.fencerId,
             blob: blob,
+            actionType: actionTypes.length === 1 ? actionTypes[0] : (actionTypes.length > 1 ? 'mixed' : 'unknown'),
             quality: quality,
+            starred: quality === 'PERFECT',
             duration: this.recorder.getDuration(),
-            actionCount: this.stats.actionCount,
-            perfectCount: this.stats.perfectCount
+            actionCount: reps.length,
+            perfectCount: reps.filter(rep => rep.quality === 'PERFECT').length,
+            // Form scores of the actions in this clip
+            score: scores.length > 0 ? Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : null,
+            bestScore: scores.length > 0 ? Math.max(...scores) : null,
+            actions,
+            metadata: {
+                reps,
+                startTime,
+                annotated: this.settings.recordingStyle === 'annotated',
+                corrections: this.recordingCorrections.map(({ time, message, type }) => ({
+                    offset: Math.max(0, Math.round(time - clipStart)),
+                    message,
+                    type
+                }))
+            }
         };
+        this.recordingReps = [];
+        this.recordingCorrections = [];
         
         // Save to IndexedDB
         try {
             const savedVideo = await videoStorage.saveVideo(video);
             console.log('[App] Recording saved to IndexedDB:', savedVideo.id);
+            
+            if (track) {
+                track.videoId = savedVideo.id;
+                await videoStorage.savePoseTrack(track);
+            }
+            spool?.delete();
             this.ui.showFeedback('视频已保存', 'success');
         } catch (error) {
             console.error('[App] Failed to save recording:', error);
@@ -473,19 +828,78 @@ class LittleFencerApp {
     }
     
     /**
-     * Get gallery videos (async)
+     * Save recordings left unfinished by a crash or reload, with their pose
+     * tracks, from the chunks written while they ran; recordings of pages
+     * still open are skipped. Their actions were only in memory.
      */
-    async getGalleryVideos(filter = 'all') {
+    async recoverRecordings() {
         try {
-            return await videoStorage.getVideos(filter);
+            const recordings = await videoStorage.getUnfinishedRecordings();
+            let recovered = 0;
+            
+            for (const recording of recordings) {
+                const chunks = await videoStorage.getRecordingChunks(recording.id);
+                
+                if (chunks.length > 0) {
+                    const endTime = chunks[chunks.length - 1].time;
+                    await videoStorage.saveVideo({
+                        id: recording.id,
+                        fencerId: recording.fencerId,
+                        blob: new Blob(chunks.map(chunk => chunk.data), { type: recording.mimeType }),
+                        duration: Math.max(0, (endTime - recording.startTime) / 1000),
+                        timestamp: recording.startTime,
+                        metadata: { startTime: recording.startTime, annotated: recording.annotated, recovered: true }
+                    });
+                    await this.recoverPoseTrack(recording);
+                    recovered++;
+                }
+                await videoStorage.deleteRecording(recording.id);
+            }
+            
+            if (recovered > 0) {
+                console.log(`[App] Recovered ${recovered} unfinished recordings`);
+                this.ui.showFeedback(`已恢复 ${recovered} 段未保存的录像`, 'success');
+            }
+        } catch (error) {
+            console.error('[App] Failed to recover recordings:', error);
+        }
+    }
+    
+    /**
+     * Save the spooled pose track of a recovered recording, if it has one
+     */
+    async recoverPoseTrack(recording) {
+        let frameCount = 0;
+        await videoStorage.forEachTrackChunk(recording.id, (chunk) => {
+            frameCount += chunk.frameCount;
+        });
+        if (frameCount === 0) return;
+        
+        const track = await buildPoseTrack(
+            { fencerId: recording.fencerId, ...recording.track },
+            frameCount,
+            (fn) => videoStorage.forEachTrackChunk(recording.id, fn)
+        );
+        track.videoId = recording.id;
+        await videoStorage.savePoseTrack(track);
+    }
+    
+    /**
+     * Get a page of gallery videos (metadata only)
+     * @param {Object} options Filters, and { after } the previous page's `next`
+     * @returns {Promise<Object>} { videos, next }
+     */
+    async getGalleryPage(filter = 'all', options = {}) {
+        try {
+            return await videoStorage.getVideoPage(this.fencerId, { filter, ...options });
         } catch (error) {
             console.error('[App] Failed to get videos:', error);
-            return [];
+            return { videos: [], next: null };
         }
     }
     
     /**
-     * Get video by ID
+     * Get video metadata by ID
      */
     async getVideoById(id) {
         try {
@@ -496,6 +910,30 @@ class LittleFencerApp {
         }
     }
     
+    /**
+     * Get the video itself, for playback
+     */
+    async getVideoBlob(id) {
+        try {
+            return await videoStorage.getVideoBlob(id);
+        } catch (error) {
+            console.error('[App] Failed to load video:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Get a video's thumbnail, drawing it first if it has none
+     */
+    async getVideoThumbnail(id) {
+        try {
+            return await videoStorage.ensureThumbnail(id);
+        } catch (error) {
+            console.warn('[App] Failed to draw thumbnail:', error);
+            return null;
+        }
+    }
+    
     /**
      * Toggle video star status
      */
@@ -558,13 +996,51 @@ class LittleFencerApp {
         }
     }
     
+    /**
+     * Share a video's pose track (landmarks only, no video), e.g. with a coach
+     */
+    async sharePoseTrack(id) {
+        try {
+            const shareData = await videoStorage.exportPoseTrackForShare(id);
+            if (!shareData) {
+                this.ui.showFeedback('此视频没有姿态数据', 'warning');
+                return false;
+            }
+            
+            if (navigator.share && navigator.canShare && navigator.canShare({ files: [shareData.file] })) {
+                await navigator.share({
+                    title: 'LittleFencer 姿态数据',
+                    text: `佩剑训练姿态数据（${shareData.frameCount}帧，不含视频）`,
+                    files: [shareData.file]
+                });
+                this.ui.showFeedback('分享成功', 'success');
+            } else {
+                // Fallback: download the file
+                const url = URL.createObjectURL(shareData.file);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = shareData.filename;
+                a.click();
+                URL.revokeObjectURL(url);
+                this.ui.showFeedback('姿态数据已下载', 'success');
+            }
+            return true;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('[App] Failed to share pose track:', error);
+                this.ui.showFeedback('分享失败', 'error');
+            }
+            return false;
+        }
+    }
+    
     /**
      * Get gallery stats
      */
     async getGalleryStats() {
         try {
-            const total = await videoStorage.getVideoCount();
-            const starred = await videoStorage.getStarredCount();
+            const total = await videoStorage.getVideoCount(this.fencerId);
+            const starred = await videoStorage.getStarredCount(this.fencerId);
             return { total, starred };
         } catch (error) {
             console.error('[App] Failed to get stats:', error);
@@ -577,6 +1053,11 @@ class LittleFencerApp {
      */
     async flipCamera() {
         await this.camera.flip();
+        
+        // The buffer records the old stream; the compositor mirrors by camera
+        if (this.isRunning) {
+            this.updateRecordingSources();
+        }
     }
     
     /**
@@ -648,7 +1129,10 @@ class LittleFencerApp {
             actionCount: 0,
             perfectCount: 0,
             comboCount: 0,
-            maxCombo: 0
+            maxCombo: 0,
+            totalScore: 0,
+            averageScore: 0,  // 0-100 form score across the session's actions
+            bestScore: 0
         };
         this.ui.updateStats(this.stats);
         this.ui.setCombo(0);
@@ -657,10 +1141,10 @@ class LittleFencerApp {
     /**
      * Show session summary
      */
-    showSessionSummary() {
+    showSessionSummary(title = '训练结束') {
         if (this.stats.actionCount > 0) {
             const perfectRate = Math.round((this.stats.perfectCount / this.stats.actionCount) * 100);
-            const message = `训练结束！完成 ${this.stats.actionCount} 个动作，完美率 ${perfectRate}%`;
+            const message = `${title}！完成 ${this.stats.actionCount} 个动作，完美率 ${perfectRate}%，平均 ${this.stats.averageScore} 分`;
             this.ui.showFeedback(message, 'success');
             
             if (this.settings.voiceEnabled) {
@@ -670,20 +1154,137 @@ class LittleFencerApp {
     }
     
     /**
-     * Load settings from localStorage
+     * Record the finished session for the active fencer
+     * @param {Object} options { duration } in seconds, { source } 'live' or 'file'
      */
-    loadSettings() {
-        const saved = localStorage.getItem('littlefencer_settings');
-        if (saved) {
-            this.settings = { ...this.settings, ...JSON.parse(saved) };
+    saveSession({ duration = Math.round((Date.now() - this.sessionStartTime) / 1000), source = 'live' } = {}) {
+        if (!this.sessionStartTime || this.stats.actionCount === 0) return;
+        
+        fencerProfiles.addSession(this.fencerId, {
+            startTime: this.sessionStartTime,
+            duration,
+            source,
+            actionCount: this.stats.actionCount,
+            perfectCount: this.stats.perfectCount,
+            maxCombo: this.stats.maxCombo,
+            averageScore: this.stats.averageScore,
+            bestScore: this.stats.bestScore
+        });
+    }
+    
+    /**
+     * Switch to another fencer. A running session ends first so it stays
+     * with the fencer who trained it.
+     */
+    async switchFencer(id) {
+        if (id === this.fencerId) return;
+        
+        const fencer = fencerProfiles.setActive(id);
+        if (!fencer) return;
+        
+        // Finish the session first, so its clip is saved to the fencer who trained it
+        if (this.isRunning) {
+            await this.stop();
+        }
+        
+        this.fencer = fencer;
+        this.loadSettings();
+        this.applyCorrectionRules();
+        this.engine.setHandedness(fencer.handedness);
+        this.engine.applyProfile(calibrationStore.load(this.fencerId));
+        this.resetStats();
+        
+        this.ui.updateFencer(fencer);
+        this.ui.updateCalibrationStatus(calibrationStore.load(this.fencerId));
+        this.ui.showFeedback(`你好，${fencer.name}！`, 'success');
+        
+        console.log('[App] Switched to fencer:', fencer.name);
+    }
+    
+    /**
+     * Add a fencer and make them active
+     */
+    createFencer(fields) {
+        const fencer = fencerProfiles.create(fields);
+        this.switchFencer(fencer.id);
+        return fencer;
+    }
+    
+    /**
+     * Edit name, age group or handedness
+     */
+    updateFencer(id, changes) {
+        const fencer = fencerProfiles.update(id, changes);
+        if (fencer && id === this.fencerId) {
+            this.fencer = fencer;
+            this.engine.setHandedness(fencer.handedness);
+            this.ui.updateFencer(fencer);
         }
+        return fencer;
     }
     
     /**
-     * Save settings to localStorage
+     * Delete a fencer with their calibration and videos
+     */
+    async deleteFencer(id) {
+        const wasActive = id === this.fencerId;
+        // End their session first, so its clip is deleted with their other videos
+        if (wasActive && this.isRunning) {
+            await this.stop();
+        }
+        if (!fencerProfiles.remove(id)) return false;
+        
+        calibrationStore.remove(id);
+        try {
+            await videoStorage.deleteFencerVideos(id);
+        } catch (error) {
+            console.error('[App] Failed to delete fencer videos:', error);
+        }
+        
+        if (wasActive) {
+            this.switchFencer(fencerProfiles.getActive().id);
+        }
+        return true;
+    }
+    
+    /**
+     * Load the active fencer's settings
+     */
+    loadSettings() {
+        this.settings = { ...this.defaultSettings, ...fencerProfiles.getSettings(this.fencerId) };
+    }
+    
+    /**
+     * Save the active fencer's settings
      */
     saveSettings() {
-        localStorage.setItem('littlefencer_settings', JSON.stringify(this.settings));
+        fencerProfiles.saveSettings(this.fencerId, this.settings);
+    }
+    
+    /**
+     * Change one correction rule (enabled, margin or cooldownMs) for the active fencer
+     */
+    updateCorrectionRule(ruleId, changes) {
+        const rules = this.settings.correctionRules;
+        this.settings.correctionRules = { ...rules, [ruleId]: { ...rules[ruleId], ...changes } };
+        this.saveSettings();
+        this.applyCorrectionRules();
+    }
+    
+    /**
+     * Back to the built-in correction rules
+     */
+    resetCorrectionRules() {
+        this.settings.correctionRules = {};
+        this.saveSettings();
+        this.applyCorrectionRules();
+    }
+    
+    /**
+     * Put the active fencer's correction rule settings into effect
+     */
+    applyCorrectionRules() {
+        this.engine.corrections.configure(this.settings.correctionRules);
     }
 }
 
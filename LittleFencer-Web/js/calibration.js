@@ -0,0 +1,219 @@
+/**
+ * Personal Calibration
+ * Guided session that measures a fencer's natural En Garde and lunge,
+ * and turns them into a personal threshold profile
+ */
+
+import { clamp } from './utils.js';
+
+const STORAGE_KEY = 'littlefencer_calibration';
+const PROFILE_VERSION = 1;
+
+export const CalibrationStep = {
+    EN_GARDE: 'EN_GARDE',
+    LUNGES: 'LUNGES',
+    DONE: 'DONE'
+};
+
+/**
+ * Value at fraction p (0-1) of the sorted samples
+ */
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = clamp(Math.round(p * (sorted.length - 1)), 0, sorted.length - 1);
+    return sorted[index];
+}
+
+export class CalibrationSession {
+    constructor() {
+        this.step = CalibrationStep.EN_GARDE;
+        
+        // En Garde samples
+        this.holdSamples = [];
+        this.holdTime = 0;
+        this.lastFrameTime = null;
+        
+        // Lunge tracking
+        this.lunges = [];
+        this.currentLunge = null;
+        
+        // Callbacks
+        this.onProgress = null;
+        this.onComplete = null;
+        
+        this.thresholds = {
+            HOLD_DURATION: 3000,        // ms of steady En Garde to sample
+            MAX_FRAME_GAP: 200,         // Longer gaps don't count towards the hold
+            GUARD_STANCE_MIN: 0.5,      // Loose En Garde check: feet apart (torso lengths)
+            GUARD_KNEE_MAX: 165,        // ...and front knee visibly bent
+            LUNGE_COUNT: 3,
+            LUNGE_START_RATIO: 1.3,     // Stance this much wider than En Garde starts a lunge
+            LUNGE_END_RATIO: 1.15,      // Back below this means the fencer recovered
+            
+            // Margins around the measured ranges
+            KNEE_MARGIN: 15,
+            BACK_KNEE_MARGIN: 10,
+            STANCE_MARGIN: 0.8,         // Share of the measured stance that still counts
+            ARM_MARGIN: 0.1
+        };
+    }
+    
+    /**
+     * Feed one frame of engine metrics
+     */
+    addFrame(metrics, timestamp) {
+        const deltaTime = this.lastFrameTime === null ? 0 : timestamp - this.lastFrameTime;
+        this.lastFrameTime = timestamp;
+        
+        switch (this.step) {
+            case CalibrationStep.EN_GARDE:
+                this.sampleEnGarde(metrics, deltaTime);
+                break;
+            
+            case CalibrationStep.LUNGES:
+                this.trackLunge(metrics);
+                break;
+        }
+    }
+    
+    sampleEnGarde(metrics, deltaTime) {
+        const inGuard = metrics.stanceWidth >= this.thresholds.GUARD_STANCE_MIN &&
+                        metrics.frontKneeAngle <= this.thresholds.GUARD_KNEE_MAX;
+        
+        if (!inGuard) return;
+        
+        this.holdSamples.push({ ...metrics });
+        if (deltaTime <= this.thresholds.MAX_FRAME_GAP) {
+            this.holdTime += deltaTime;
+        }
+        
+        const progress = Math.min(1, this.holdTime / this.thresholds.HOLD_DURATION);
+        this.emitProgress(progress);
+        
+        if (this.holdTime >= this.thresholds.HOLD_DURATION) {
+            this.guardStance = percentile(this.holdSamples.map(s => s.stanceWidth), 0.5);
+            this.step = CalibrationStep.LUNGES;
+            this.emitProgress(0);
+        }
+    }
+    
+    trackLunge(metrics) {
+        const startStance = this.guardStance * this.thresholds.LUNGE_START_RATIO;
+        const endStance = this.guardStance * this.thresholds.LUNGE_END_RATIO;
+        
+        if (!this.currentLunge) {
+            if (metrics.stanceWidth >= startStance) {
+                this.currentLunge = { ...metrics };
+            }
+            return;
+        }
+        
+        // Keep the deepest frame of the lunge
+        if (metrics.stanceWidth > this.currentLunge.stanceWidth) {
+            this.currentLunge = { ...metrics };
+        }
+        
+        if (metrics.stanceWidth < endStance) {
+            this.lunges.push(this.currentLunge);
+            this.currentLunge = null;
+            
+            this.emitProgress(this.lunges.length / this.thresholds.LUNGE_COUNT);
+            
+            if (this.lunges.length >= this.thresholds.LUNGE_COUNT) {
+                this.finish();
+            }
+        }
+    }
+    
+    finish() {
+        this.step = CalibrationStep.DONE;
+        this.profile = this.buildProfile();
+        
+        if (this.onComplete) {
+            this.onComplete(this.profile);
+        }
+    }
+    
+    /**
+     * Derive thresholds from the measured ranges. Names match
+     * FencingStateEngine.thresholds.
+     */
+    buildProfile() {
+        const t = this.thresholds;
+        const guardKnees = this.holdSamples.map(s => s.frontKneeAngle);
+        const lungeKnees = this.lunges.map(l => l.frontKneeAngle);
+        const backKnees = this.lunges.map(l => l.backKneeAngle);
+        const lungeStances = this.lunges.map(l => l.stanceWidth);
+        const arms = this.lunges.map(l => l.armExtension);
+        
+        const round = (value, digits = 0) => Number(value.toFixed(digits));
+        
+        return {
+            version: PROFILE_VERSION,
+            createdAt: Date.now(),
+            measured: {
+                enGardeKnee: round(percentile(guardKnees, 0.5)),
+                enGardeStance: round(this.guardStance, 2),
+                lungeKnee: round(percentile(lungeKnees, 0.5)),
+                lungeBackKnee: round(percentile(backKnees, 0.5)),
+                lungeStance: round(percentile(lungeStances, 0.5), 2),
+                armExtension: round(percentile(arms, 0.5), 2)
+            },
+            thresholds: {
+                enGardeKneeMin: round(clamp(percentile(guardKnees, 0.1) - t.KNEE_MARGIN, 80, 140)),
+                enGardeKneeMax: round(clamp(percentile(guardKnees, 0.9) + t.KNEE_MARGIN, 120, 170)),
+                enGardeStanceMin: round(this.guardStance * t.STANCE_MARGIN, 2),
+                lungeKneeMin: round(clamp(Math.min(...lungeKnees) - t.KNEE_MARGIN, 50, 100)),
+                lungeKneeMax: round(clamp(Math.max(...lungeKnees) + t.KNEE_MARGIN, 90, 135)),
+                lungeStanceMin: round(Math.min(...lungeStances) * t.STANCE_MARGIN, 2),
+                backKneeMinStraight: round(clamp(Math.min(...backKnees) - t.BACK_KNEE_MARGIN, 135, 165)),
+                minArmExtension: round(clamp(Math.min(...arms) - t.ARM_MARGIN, 0.2, 0.6), 2)
+            }
+        };
+    }
+    
+    emitProgress(progress) {
+        if (this.onProgress) {
+            this.onProgress({
+                step: this.step,
+                progress,
+                lunges: this.lunges.length,
+                lungeCount: this.thresholds.LUNGE_COUNT
+            });
+        }
+    }
+}
+
+/**
+ * Calibration profiles kept per fencer (see profiles.js) in localStorage
+ */
+class CalibrationStore {
+    loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        } catch (error) {
+            console.warn('[Calibration] Ignoring unreadable profiles:', error);
+            return {};
+        }
+    }
+    
+    load(fencerId) {
+        const profile = this.loadAll()[fencerId];
+        return profile && profile.version === PROFILE_VERSION ? profile : null;
+    }
+    
+    save(fencerId, profile) {
+        const profiles = this.loadAll();
+        profiles[fencerId] = profile;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+    }
+    
+    remove(fencerId) {
+        const profiles = this.loadAll();
+        delete profiles[fencerId];
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+    }
+}
+
+export const calibrationStore = new CalibrationStore();
@@ -0,0 +1,178 @@
+/**
+ * Video Compositor
+ * Draws the camera frame, the coloured skeleton, the state badge and the
+ * action/quality labels onto one canvas, whose stream can be recorded
+ * instead of the raw camera for an annotated clip
+ */
+
+import { SkeletonRenderer, QUALITY_COLORS } from './skeleton.js';
+import { ActionDisplayNames } from './detectors/index.js';
+import { StateDisplay, QualityEmoji } from './ui.js';
+
+const STREAM_FPS = 30;
+const LABEL_MS = 1500;  // As long as the on-screen action pop-up
+
+export class VideoCompositor {
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.skeleton = new SkeletonRenderer(this.canvas);
+        
+        this.videoElement = null;
+        this.mirrored = true;
+        this.stream = null;
+        this.isRunning = false;
+        this.animationFrameId = null;
+        
+        // What to draw over the next frames
+        this.landmarks = null;
+        this.quality = 'neutral';
+        this.state = 'IDLE';
+        this.label = null;  // { name, quality, score, until }
+    }
+    
+    /**
+     * Start drawing frames of the camera video
+     * @param {HTMLVideoElement} videoElement Camera preview
+     * @param {boolean} mirrored Flip horizontally like the front camera preview
+     */
+    start(videoElement, mirrored = true) {
+        this.videoElement = videoElement;
+        this.mirrored = mirrored;
+        this.skeleton.mirrored = mirrored;
+        
+        if (!this.stream) {
+            this.stream = this.canvas.captureStream(STREAM_FPS);
+        }
+        
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        this.drawLoop();
+        console.log('[Compositor] Started');
+    }
+    
+    stop() {
+        if (!this.isRunning) return;
+        
+        this.isRunning = false;
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        this.landmarks = null;
+        this.label = null;
+        console.log('[Compositor] Stopped');
+    }
+    
+    /**
+     * Latest pose, or null when none was found
+     */
+    setPose(landmarks, quality = 'neutral') {
+        this.landmarks = landmarks || null;
+        this.quality = quality;
+    }
+    
+    setState(state) {
+        this.state = state;
+    }
+    
+    /**
+     * Label a detected action on the next frames
+     */
+    showAction(action, quality, rep) {
+        this.label = {
+            name: ActionDisplayNames[action] || action,
+            quality,
+            score: rep.score,
+            until: Date.now() + LABEL_MS
+        };
+    }
+    
+    drawLoop() {
+        if (!this.isRunning) return;
+        
+        this.drawFrame();
+        this.animationFrameId = requestAnimationFrame(() => this.drawLoop());
+    }
+    
+    drawFrame() {
+        const video = this.videoElement;
+        if (!video || video.readyState < 2 || !video.videoWidth) return;
+        
+        if (this.canvas.width !== video.videoWidth || this.canvas.height !== video.videoHeight) {
+            this.canvas.width = video.videoWidth;
+            this.canvas.height = video.videoHeight;
+        }
+        
+        const { ctx, canvas } = this;
+        
+        // Camera frame
+        ctx.save();
+        if (this.mirrored) {
+            ctx.translate(canvas.width, 0);
+            ctx.scale(-1, 1);
+        }
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        ctx.restore();
+        
+        if (this.landmarks) {
+            this.skeleton.draw(this.landmarks, this.quality);
+        } else {
+            this.skeleton.smoothedLandmarks = null;
+        }
+        
+        this.drawStateBadge();
+        
+        if (this.label && Date.now() < this.label.until) {
+            this.drawActionLabel();
+        } else {
+            this.label = null;
+        }
+    }
+    
+    /**
+     * State badge in the top-left corner, like the on-screen status badge
+     */
+    drawStateBadge() {
+        const display = StateDisplay[this.state];
+        if (!display) return;
+        
+        const { ctx } = this;
+        const fontSize = Math.round(this.canvas.height * 0.04);
+        const padding = fontSize * 0.5;
+        const text = `${display.icon} ${display.text}`;
+        
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        
+        const width = ctx.measureText(text).width + padding * 2;
+        const height = fontSize + padding * 2;
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.fillRect(padding, padding, width, height);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(text, padding * 2, padding + height / 2);
+    }
+    
+    /**
+     * Action name, quality and score across the top, like the action pop-up
+     */
+    drawActionLabel() {
+        const { ctx, canvas, label } = this;
+        const fontSize = Math.round(canvas.height * 0.07);
+        const text = `${label.name} ${QualityEmoji[label.quality] || ''} ${label.score} 分`;
+        
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'center';
+        ctx.lineWidth = Math.max(2, fontSize * 0.12);
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillStyle = QUALITY_COLORS[label.quality.toLowerCase()] || QUALITY_COLORS.neutral;
+        
+        const y = canvas.height * 0.2;
+        ctx.strokeText(text, canvas.width / 2, y);
+        ctx.fillText(text, canvas.width / 2, y);
+    }
+}
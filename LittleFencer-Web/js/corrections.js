@@ -0,0 +1,207 @@
+/**
+ * Form Corrections
+ * Declarative rules for live coaching cues. Each rule watches one metric in
+ * some engine states; the corrector picks the most important active fault
+ * and keeps one fault from being repeated over and over.
+ */
+
+export const Severity = {
+    WARNING: 'warning',
+    ERROR: 'error'
+};
+
+// Higher wins when several faults are active at once
+const SeverityRank = {
+    [Severity.WARNING]: 1,
+    [Severity.ERROR]: 2
+};
+
+// Message keys → spoken/shown text
+export const CorrectionMessages = {
+    backLegStraight: '后腿伸直！',
+    armFirst: '手臂先动！伸直手臂！',
+    torsoUpright: '保持身体直立！',
+    kneeBendMore: '膝盖再弯一点！',
+    kneeBendLess: '膝盖弯曲过度！'
+};
+
+// Names shown in settings
+export const CorrectionRuleNames = {
+    backLegBent: '弓步后腿弯曲',
+    armNotExtended: '弓步手臂没伸直',
+    torsoLean: '身体前倾',
+    kneeTooStraight: '实战姿势膝盖太直',
+    kneeTooBent: '实战姿势膝盖太弯'
+};
+
+const ACTIVE_STATES = ['EN_GARDE', 'ADVANCING', 'RETREATING', 'LUNGING', 'RECOVERY'];
+
+/**
+ * A rule fires when metrics[metric] is beyond the engine threshold named by
+ * `threshold` by more than `margin` ('below' or 'above' it). Listed in
+ * priority order within a severity.
+ */
+export const DEFAULT_CORRECTION_RULES = [
+    {
+        id: 'backLegBent',
+        states: ['LUNGING'],
+        metric: 'backKneeAngle',
+        condition: 'below',
+        threshold: 'backKneeMinStraight',
+        margin: 10,
+        unit: '°',
+        severity: Severity.ERROR,
+        messageKey: 'backLegStraight',
+        cooldownMs: 3000
+    },
+    {
+        id: 'armNotExtended',
+        states: ['LUNGING'],
+        metric: 'armExtension',
+        condition: 'below',
+        threshold: 'minArmExtension',
+        margin: 0.1,
+        unit: '',
+        severity: Severity.ERROR,
+        messageKey: 'armFirst',
+        cooldownMs: 3000
+    },
+    {
+        id: 'torsoLean',
+        states: ACTIVE_STATES,
+        metric: 'torsoAngle',
+        condition: 'above',
+        threshold: 'torsoMaxLean',
+        margin: 10,
+        unit: '°',
+        severity: Severity.WARNING,
+        messageKey: 'torsoUpright',
+        cooldownMs: 4000
+    },
+    {
+        id: 'kneeTooStraight',
+        states: ['EN_GARDE'],
+        metric: 'frontKneeAngle',
+        condition: 'above',
+        threshold: 'enGardeKneeMax',
+        margin: 10,
+        unit: '°',
+        severity: Severity.WARNING,
+        messageKey: 'kneeBendMore',
+        cooldownMs: 4000
+    },
+    {
+        id: 'kneeTooBent',
+        states: ['EN_GARDE'],
+        metric: 'frontKneeAngle',
+        condition: 'below',
+        threshold: 'enGardeKneeMin',
+        margin: 10,
+        unit: '°',
+        severity: Severity.WARNING,
+        messageKey: 'kneeBendLess',
+        cooldownMs: 4000
+    }
+];
+
+// Rule fields a coach may change from settings
+const ADJUSTABLE_FIELDS = ['enabled', 'margin', 'cooldownMs'];
+
+export class FormCorrector {
+    constructor(rules = DEFAULT_CORRECTION_RULES) {
+        this.defaultRules = rules;
+        this.rules = [];
+        
+        this.thresholds = {
+            MIN_MESSAGE_GAP: 1500,   // Between any two cues, so speech doesn't overlap
+            REPEAT_LIMIT: 2,         // Times one fault is called out before going quiet
+            CLEAR_MS: 1000           // Fault gone this long: it may be called out again
+        };
+        
+        this.configure();
+        this.reset();
+    }
+    
+    /**
+     * Apply coach adjustments: { [ruleId]: { enabled, margin, cooldownMs } }
+     */
+    configure(overrides = {}) {
+        this.rules = this.defaultRules.map(rule => {
+            const configured = { ...rule, enabled: true };
+            const override = overrides[rule.id] || {};
+            ADJUSTABLE_FIELDS.forEach(field => {
+                if (override[field] !== undefined) configured[field] = override[field];
+            });
+            return configured;
+        });
+    }
+    
+    /**
+     * Whether the rule's fault shows in these metrics
+     */
+    isFaulty(rule, metrics, thresholds) {
+        const value = metrics[rule.metric];
+        const limit = thresholds[rule.threshold];
+        if (value === undefined || limit === undefined) return false;
+        
+        return rule.condition === 'below'
+            ? value < limit - rule.margin
+            : value > limit + rule.margin;
+    }
+    
+    /**
+     * Most important fault to call out now, or null
+     * @returns {Object|null} { rule, message, severity }
+     */
+    check(state, metrics, thresholds, now) {
+        let best = null;
+        
+        for (const rule of this.rules) {
+            if (!rule.enabled || !rule.states.includes(state)) continue;
+            
+            const track = this.getTrack(rule.id);
+            
+            if (!this.isFaulty(rule, metrics, thresholds)) {
+                if (now - track.lastFaultTime >= this.thresholds.CLEAR_MS) {
+                    track.repeats = 0;
+                }
+                continue;
+            }
+            
+            track.lastFaultTime = now;
+            
+            // Said enough times: wait until the fencer fixes it
+            if (track.repeats >= this.thresholds.REPEAT_LIMIT) continue;
+            if (now - track.lastCueTime < rule.cooldownMs) continue;
+            
+            if (!best || SeverityRank[rule.severity] > SeverityRank[best.severity]) {
+                best = rule;
+            }
+        }
+        
+        if (!best || now - this.lastCueTime < this.thresholds.MIN_MESSAGE_GAP) return null;
+        
+        const track = this.getTrack(best.id);
+        track.lastCueTime = now;
+        track.repeats++;
+        this.lastCueTime = now;
+        
+        return {
+            rule: best,
+            message: CorrectionMessages[best.messageKey] || best.messageKey,
+            severity: best.severity
+        };
+    }
+    
+    getTrack(ruleId) {
+        if (!this.tracks[ruleId]) {
+            this.tracks[ruleId] = { lastCueTime: -Infinity, lastFaultTime: -Infinity, repeats: 0 };
+        }
+        return this.tracks[ruleId];
+    }
+    
+    reset() {
+        this.tracks = {};
+        this.lastCueTime = -Infinity;  // Frame time may start at 0, e.g. in a video file
+    }
+}
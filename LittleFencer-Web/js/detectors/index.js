@@ -4,7 +4,9 @@
  */
 
 import { PoseLandmark } from '../pose.js';
-import { calculateAngle, calculateDistance, midpoint, calculateVelocity } from '../utils.js';
+import { calculateAngle, calculateAngle3D, calculateDistance, calculateDistance3D, midpoint, calculateVelocity, clamp, hasWorldLandmarks, detectFacingRight } from '../utils.js';
+import { BodyScale } from '../scale.js';
+import { rampCredit, bandCredit, scoreCriteria, scoreToQuality, qualityToScore } from '../scoring.js';
 
 // Action types
 export const SaberAction = {
@@ -14,6 +16,8 @@ export const SaberAction = {
     ADVANCE_LUNGE: 'advance_lunge',
     BALESTRA_LUNGE: 'balestra_lunge',
     FLUNGE: 'flunge',
+    CROSSOVER: 'crossover', // Rule violation: back foot passed front foot in a flunge
+    PARRY: 'parry',         // Parry with no riposte in time
     PARRY_RIPOSTE: 'parry_riposte'
 };
 
@@ -25,9 +29,24 @@ export const ActionDisplayNames = {
     [SaberAction.ADVANCE_LUNGE]: '前进弓步',
     [SaberAction.BALESTRA_LUNGE]: '跳步弓步',
     [SaberAction.FLUNGE]: '飞弓步',
+    [SaberAction.CROSSOVER]: '交叉步犯规',
+    [SaberAction.PARRY]: '格挡',
     [SaberAction.PARRY_RIPOSTE]: '格挡反攻'
 };
 
+// Saber parry positions
+export const ParryPosition = {
+    TIERCE: 'tierce',   // Outside
+    QUARTE: 'quarte',   // Inside
+    QUINTE: 'quinte'    // Head
+};
+
+export const ParryDisplayNames = {
+    [ParryPosition.TIERCE]: '三位格挡',
+    [ParryPosition.QUARTE]: '四位格挡',
+    [ParryPosition.QUINTE]: '五位格挡'
+};
+
 // Quality levels
 export const Quality = {
     PERFECT: 'PERFECT',
@@ -38,12 +57,25 @@ export const Quality = {
 
 /**
  * Base Action Detector
+ * Plugins extend this, set action and displayName, implement detect() and
+ * override the scoreCriteria() (or evaluateQuality()) / generateFeedback() hooks.
  */
-class BaseDetector {
+export class BaseDetector {
     constructor() {
+        this.action = null;
+        this.displayName = null; // Required for actions not listed in ActionDisplayNames
+        this.enabled = true;
+        this.bodyScale = null; // Shared BodyScale, set by the manager
+        this.leftHanded = false; // Weapon arm and front leg on the left, set by the manager
+        this.supersedes = []; // Actions contained in this one
+        this.committedPhases = null; // Phases where the action is surely under way (null = any non-idle)
+        this.profileThresholds = {}; // Threshold name → calibration profile key it follows
+        this.defaultThresholds = null;
         this.phase = 'idle';
         this.phaseStartTime = 0;
+        this.phaseLog = []; // { phase, time } for each phase entered since leaving idle
         this.actionStartTime = 0;
+        this.frameTime = null; // Timestamp of the frame being detected, set by the manager
         this.metrics = {};
     }
     
@@ -51,9 +83,18 @@ class BaseDetector {
         return null;
     }
     
+    /**
+     * Current time: the timestamp of the frame being detected, so a replay
+     * of recorded frames times every phase exactly like the live run
+     */
+    now() {
+        return this.frameTime ?? Date.now();
+    }
+    
     reset() {
         this.phase = 'idle';
         this.phaseStartTime = 0;
+        this.phaseLog = [];
         this.actionStartTime = 0;
         this.metrics = {};
     }
@@ -62,34 +103,243 @@ class BaseDetector {
         return landmarks[index];
     }
     
+    /**
+     * Image-space distance in body units. Thresholds are all in body units.
+     */
+    toBody(value) {
+        return this.bodyScale ? this.bodyScale.toBody(value) : value;
+    }
+    
+    /**
+     * calculateVelocity in body units per second
+     */
+    bodyVelocity(current, previous, deltaTime) {
+        const velocity = calculateVelocity(current, previous, deltaTime);
+        return {
+            x: this.toBody(velocity.x),
+            y: this.toBody(velocity.y),
+            magnitude: this.toBody(velocity.magnitude)
+        };
+    }
+    
+    /**
+     * Take thresholds from a personal calibration profile (null = defaults)
+     */
+    applyProfile(profile) {
+        if (!this.defaultThresholds) {
+            this.defaultThresholds = { ...this.thresholds };
+        }
+        
+        const personal = profile ? profile.thresholds : {};
+        for (const [name, key] of Object.entries(this.profileThresholds)) {
+            this.thresholds[name] = personal[key] ?? this.defaultThresholds[name];
+        }
+    }
+    
+    /**
+     * Common body metrics shared by the detectors. Angles and arm extension
+     * use the 3D world landmarks when present, screen coordinates otherwise.
+     */
+    calculateMetrics(landmarks, worldLandmarks = null) {
+        const use3D = hasWorldLandmarks(worldLandmarks);
+        const joints = use3D ? worldLandmarks : landmarks;
+        const angle = use3D ? calculateAngle3D : calculateAngle;
+        const distance = use3D ? calculateDistance3D : calculateDistance;
+        
+        // Determine facing direction
+        const facingRight = detectFacingRight(landmarks, this.bodyScale ? this.bodyScale.unit : 1, this.leftHanded);
+        
+        // Weapon arm and front leg follow the fencer's hand
+        const leftHanded = this.leftHanded;
+        const weaponShoulder = joints[leftHanded ? PoseLandmark.LEFT_SHOULDER : PoseLandmark.RIGHT_SHOULDER];
+        const weaponElbow = joints[leftHanded ? PoseLandmark.LEFT_ELBOW : PoseLandmark.RIGHT_ELBOW];
+        const weaponWrist = joints[leftHanded ? PoseLandmark.LEFT_WRIST : PoseLandmark.RIGHT_WRIST];
+        
+        // Calculate arm extension
+        const shoulderToWrist = distance(weaponShoulder, weaponWrist);
+        const shoulderToElbow = distance(weaponShoulder, weaponElbow);
+        const elbowToWrist = distance(weaponElbow, weaponWrist);
+        const maxArmLength = shoulderToElbow + elbowToWrist;
+        const armExtension = maxArmLength > 0 ? shoulderToWrist / maxArmLength : 0;
+        
+        // Front leg
+        const leftAnkle = landmarks[PoseLandmark.LEFT_ANKLE];
+        const rightAnkle = landmarks[PoseLandmark.RIGHT_ANKLE];
+        const frontLegLeft = leftHanded;
+        
+        // Calculate knee angles
+        const frontHip = joints[frontLegLeft ? PoseLandmark.LEFT_HIP : PoseLandmark.RIGHT_HIP];
+        const frontKnee = joints[frontLegLeft ? PoseLandmark.LEFT_KNEE : PoseLandmark.RIGHT_KNEE];
+        const frontAnkle = joints[frontLegLeft ? PoseLandmark.LEFT_ANKLE : PoseLandmark.RIGHT_ANKLE];
+        
+        const backHip = joints[frontLegLeft ? PoseLandmark.RIGHT_HIP : PoseLandmark.LEFT_HIP];
+        const backKnee = joints[frontLegLeft ? PoseLandmark.RIGHT_KNEE : PoseLandmark.LEFT_KNEE];
+        const backAnkle = joints[frontLegLeft ? PoseLandmark.RIGHT_ANKLE : PoseLandmark.LEFT_ANKLE];
+        
+        const frontKneeAngle = angle(frontHip, frontKnee, frontAnkle);
+        const backKneeAngle = angle(backHip, backKnee, backAnkle);
+        
+        // Stance width: ankle spread in body units
+        const leftHip = landmarks[PoseLandmark.LEFT_HIP];
+        const rightHip = landmarks[PoseLandmark.RIGHT_HIP];
+        const stanceWidth = this.toBody(calculateDistance(leftAnkle, rightAnkle));
+        
+        return {
+            armExtension,
+            frontKneeAngle,
+            backKneeAngle,
+            stanceWidth,
+            facingRight,
+            leftHanded,
+            frontLegLeft,
+            hipCenter: midpoint(leftHip, rightHip),
+            angleMode: use3D ? '3d' : '2d'
+        };
+    }
+    
     transitionTo(phase) {
+        if (this.phase === 'idle') {
+            this.phaseLog = [];
+        }
+        
         this.phase = phase;
-        this.phaseStartTime = Date.now();
+        this.phaseStartTime = this.now();
+        this.phaseLog.push({ action: this.action, phase, time: this.phaseStartTime });
+    }
+    
+    /**
+     * Latest history frame at least windowMs older than timestamp (or the
+     * oldest one), for measuring motion over a fixed time instead of a fixed
+     * number of frames
+     */
+    getFrameBefore(history, timestamp, windowMs) {
+        for (let i = history.length - 2; i >= 0; i--) {
+            if (timestamp - history[i].timestamp >= windowMs) {
+                return history[i];
+            }
+        }
+        return history[0];
+    }
+    
+    isInProgress() {
+        return this.phase !== 'idle';
+    }
+    
+    /**
+     * Past the point where the movement could still turn out to be something else
+     */
+    isCommitted() {
+        if (!this.isInProgress()) return false;
+        return this.committedPhases === null || this.committedPhases.includes(this.phase);
+    }
+    
+    /**
+     * Scoring hook: weighted criteria for the completed action, each
+     * { id, label, weight, credit } with credit 0-1. null = grade through
+     * evaluateQuality() instead.
+     */
+    scoreCriteria(metrics) {
+        return null;
+    }
+    
+    /**
+     * Quality hook: grade the completed action when it has no scoreCriteria()
+     */
+    evaluateQuality(metrics) {
+        return Quality.GOOD;
+    }
+    
+    /**
+     * 0-100 score and per-criterion breakdown for the completed action
+     */
+    evaluateScore(metrics) {
+        const criteria = this.scoreCriteria(metrics);
+        if (criteria) {
+            return scoreCriteria(criteria);
+        }
+        
+        return { score: qualityToScore(this.evaluateQuality(metrics)), breakdown: [] };
+    }
+    
+    /**
+     * Feedback hook: coaching text for the completed action
+     */
+    generateFeedback(metrics, quality) {
+        return '不错！';
+    }
+    
+    /**
+     * Result for this detector's action, scored and graded through the
+     * scoring and feedback hooks. Call before reset().
+     */
+    completeAction(metrics, confidence) {
+        const { score, breakdown } = this.evaluateScore(metrics);
+        const quality = scoreToQuality(score);
+        
+        return this.buildResult({
+            action: this.action,
+            quality: quality,
+            score: score,
+            breakdown: breakdown,
+            feedback: this.generateFeedback(metrics, quality)
+        }, confidence);
+    }
+    
+    /**
+     * Completed-action result with its confidence, time span and the phases
+     * it went through. Call before reset(), which clears actionStartTime.
+     */
+    buildResult(fields, confidence) {
+        const endTime = this.now();
+        
+        return {
+            ...fields,
+            confidence: clamp(confidence, 0, 1),
+            startTime: this.actionStartTime,
+            endTime: endTime,
+            duration: endTime - this.actionStartTime,
+            phases: [...this.phaseLog]
+        };
     }
 }
 
+/**
+ * 0 at start, 1 at end, linear in between
+ */
+function ramp(value, start, end) {
+    return clamp((value - start) / (end - start), 0, 1);
+}
+
 /**
  * Lunge Detector - 4-phase state machine with arm-first principle
  */
 class LungeDetector extends BaseDetector {
     constructor() {
         super();
+        this.action = SaberAction.LUNGE;
+        this.supersedes = [SaberAction.ADVANCE]; // The front foot's step looks like an advance
         this.phases = {
             IDLE: 'idle',
             ARM_EXTENDING: 'arm_extending',
             LUNGING: 'lunging',
             LANDING: 'landing'
         };
+        this.committedPhases = [this.phases.LUNGING, this.phases.LANDING];
         
         this.thresholds = {
             ARM_EXTENSION_START: 0.20,
             ARM_EXTENSION_FULL: 0.30,
             BACK_KNEE_MIN_STRAIGHT: 150,
             FRONT_KNEE_LUNGE_MAX: 110,
-            STANCE_WIDTH_LUNGE: 1.8,
+            STANCE_WIDTH_LUNGE: 1.6,     // Ankle spread, torso lengths
             MIN_LUNGE_DURATION: 150,
             MAX_LUNGE_DURATION: 1500
         };
+        this.profileThresholds = {
+            BACK_KNEE_MIN_STRAIGHT: 'backKneeMinStraight',
+            FRONT_KNEE_LUNGE_MAX: 'lungeKneeMax',
+            STANCE_WIDTH_LUNGE: 'lungeStanceMin'
+        };
         
         this.baselineArmExtension = null;
         this.peakArmExtension = 0;
@@ -101,7 +351,7 @@ class LungeDetector extends BaseDetector {
         if (!landmarks || landmarks.length < 33) return null;
         
         // Calculate current metrics
-        const metrics = this.calculateMetrics(landmarks);
+        const metrics = this.calculateMetrics(landmarks, frame.worldLandmarks);
         
         // State machine
         switch (this.phase) {
@@ -121,57 +371,6 @@ class LungeDetector extends BaseDetector {
         return null;
     }
     
-    calculateMetrics(landmarks) {
-        // Determine facing direction
-        const leftShoulder = landmarks[PoseLandmark.LEFT_SHOULDER];
-        const rightShoulder = landmarks[PoseLandmark.RIGHT_SHOULDER];
-        const facingRight = leftShoulder.x > rightShoulder.x;
-        
-        // Weapon arm (front arm when facing right = right arm)
-        const weaponShoulder = landmarks[facingRight ? PoseLandmark.RIGHT_SHOULDER : PoseLandmark.LEFT_SHOULDER];
-        const weaponElbow = landmarks[facingRight ? PoseLandmark.RIGHT_ELBOW : PoseLandmark.LEFT_ELBOW];
-        const weaponWrist = landmarks[facingRight ? PoseLandmark.RIGHT_WRIST : PoseLandmark.LEFT_WRIST];
-        
-        // Calculate arm extension
-        const shoulderToWrist = calculateDistance(weaponShoulder, weaponWrist);
-        const shoulderToElbow = calculateDistance(weaponShoulder, weaponElbow);
-        const elbowToWrist = calculateDistance(weaponElbow, weaponWrist);
-        const maxArmLength = shoulderToElbow + elbowToWrist;
-        const armExtension = maxArmLength > 0 ? shoulderToWrist / maxArmLength : 0;
-        
-        // Determine front/back leg
-        const leftAnkle = landmarks[PoseLandmark.LEFT_ANKLE];
-        const rightAnkle = landmarks[PoseLandmark.RIGHT_ANKLE];
-        const frontLegLeft = facingRight ? (leftAnkle.x > rightAnkle.x) : (leftAnkle.x < rightAnkle.x);
-        
-        // Calculate knee angles
-        const frontHip = landmarks[frontLegLeft ? PoseLandmark.LEFT_HIP : PoseLandmark.RIGHT_HIP];
-        const frontKnee = landmarks[frontLegLeft ? PoseLandmark.LEFT_KNEE : PoseLandmark.RIGHT_KNEE];
-        const frontAnkle = landmarks[frontLegLeft ? PoseLandmark.LEFT_ANKLE : PoseLandmark.RIGHT_ANKLE];
-        
-        const backHip = landmarks[frontLegLeft ? PoseLandmark.RIGHT_HIP : PoseLandmark.LEFT_HIP];
-        const backKnee = landmarks[frontLegLeft ? PoseLandmark.RIGHT_KNEE : PoseLandmark.LEFT_KNEE];
-        const backAnkle = landmarks[frontLegLeft ? PoseLandmark.RIGHT_ANKLE : PoseLandmark.LEFT_ANKLE];
-        
-        const frontKneeAngle = calculateAngle(frontHip, frontKnee, frontAnkle);
-        const backKneeAngle = calculateAngle(backHip, backKnee, backAnkle);
-        
-        // Calculate stance width
-        const leftHip = landmarks[PoseLandmark.LEFT_HIP];
-        const rightHip = landmarks[PoseLandmark.RIGHT_HIP];
-        const hipWidth = calculateDistance(leftHip, rightHip);
-        const ankleWidth = calculateDistance(leftAnkle, rightAnkle);
-        const stanceWidth = hipWidth > 0 ? ankleWidth / hipWidth : 0;
-        
-        return {
-            armExtension,
-            frontKneeAngle,
-            backKneeAngle,
-            stanceWidth,
-            facingRight
-        };
-    }
-    
     handleIdle(metrics) {
         // Set baseline arm extension
         if (this.baselineArmExtension === null) {
@@ -183,7 +382,7 @@ class LungeDetector extends BaseDetector {
         
         if (armDelta >= this.thresholds.ARM_EXTENSION_START) {
             this.transitionTo(this.phases.ARM_EXTENDING);
-            this.actionStartTime = Date.now();
+            this.actionStartTime = this.now();
             this.peakArmExtension = metrics.armExtension;
             this.armExtendedFirst = true;
         }
@@ -205,7 +404,7 @@ class LungeDetector extends BaseDetector {
         }
         
         // Timeout - reset if taking too long
-        if (Date.now() - this.actionStartTime > this.thresholds.MAX_LUNGE_DURATION) {
+        if (this.now() - this.actionStartTime > this.thresholds.MAX_LUNGE_DURATION) {
             this.reset();
         }
         
@@ -223,7 +422,7 @@ class LungeDetector extends BaseDetector {
         }
         
         // Timeout
-        if (Date.now() - this.actionStartTime > this.thresholds.MAX_LUNGE_DURATION) {
+        if (this.now() - this.actionStartTime > this.thresholds.MAX_LUNGE_DURATION) {
             this.reset();
         }
         
@@ -231,46 +430,45 @@ class LungeDetector extends BaseDetector {
     }
     
     handleLanding(metrics) {
-        const duration = Date.now() - this.actionStartTime;
+        const duration = this.now() - this.actionStartTime;
         
         if (duration >= this.thresholds.MIN_LUNGE_DURATION) {
             // Evaluate quality
-            const quality = this.evaluateQuality(this.metrics);
-            const feedback = this.generateFeedback(this.metrics, quality);
+            const result = this.completeAction(this.metrics, this.calculateConfidence(this.metrics));
             
             // Reset for next detection
             this.reset();
             
-            return {
-                action: SaberAction.LUNGE,
-                quality: quality,
-                feedback: feedback,
-                duration: duration
-            };
+            return result;
         }
         
         return null;
     }
     
-    evaluateQuality(metrics) {
-        let score = 0;
-        
-        // Arm extended first (most important for saber)
-        if (this.armExtendedFirst) score += 2;
+    /**
+     * How clearly the landing went past the lunge thresholds
+     */
+    calculateConfidence(metrics) {
+        const armDelta = this.peakArmExtension - (this.baselineArmExtension || 0);
         
-        // Back leg straight
-        if (metrics.backKneeAngle >= this.thresholds.BACK_KNEE_MIN_STRAIGHT) score += 1;
-        
-        // Good front knee bend
-        if (metrics.frontKneeAngle >= 80 && metrics.frontKneeAngle <= 100) score += 1;
-        
-        // Wide stance
-        if (metrics.stanceWidth >= this.thresholds.STANCE_WIDTH_LUNGE) score += 1;
+        return 0.5 +
+            0.2 * ramp(armDelta, this.thresholds.ARM_EXTENSION_FULL, this.thresholds.ARM_EXTENSION_FULL * 1.5) +
+            0.15 * ramp(metrics.stanceWidth, this.thresholds.STANCE_WIDTH_LUNGE, this.thresholds.STANCE_WIDTH_LUNGE * 1.3) +
+            0.15 * ramp(metrics.backKneeAngle, this.thresholds.BACK_KNEE_MIN_STRAIGHT, 170);
+    }
+    
+    scoreCriteria(metrics) {
+        const backKneeMin = this.thresholds.BACK_KNEE_MIN_STRAIGHT;
+        const stanceMin = this.thresholds.STANCE_WIDTH_LUNGE;
         
-        if (score >= 5) return Quality.PERFECT;
-        if (score >= 4) return Quality.GOOD;
-        if (score >= 2) return Quality.ACCEPTABLE;
-        return Quality.POOR;
+        return [
+            // Arm extended first (most important for saber)
+            { id: 'armFirst', label: '手臂先动', weight: 40, credit: this.armExtendedFirst ? 1 : 0 },
+            { id: 'backKnee', label: '后腿伸直', weight: 20, credit: rampCredit(metrics.backKneeAngle, backKneeMin - 20, backKneeMin) },
+            // Front knee near 90°
+            { id: 'frontKnee', label: '前膝弯曲', weight: 20, credit: bandCredit(metrics.frontKneeAngle, 80, 100, 25) },
+            { id: 'stance', label: '弓步幅度', weight: 20, credit: rampCredit(metrics.stanceWidth, stanceMin * 0.75, stanceMin) }
+        ];
     }
     
     generateFeedback(metrics, quality) {
@@ -304,215 +502,1472 @@ class LungeDetector extends BaseDetector {
 }
 
 /**
- * Advance Detector
+ * Balestra-Lunge Detector - jump forward, land on both feet, lunge immediately
  */
-class AdvanceDetector extends BaseDetector {
+class BalestraLungeDetector extends BaseDetector {
     constructor() {
         super();
+        this.action = SaberAction.BALESTRA_LUNGE;
+        this.supersedes = [SaberAction.LUNGE, SaberAction.ADVANCE];
         this.phases = {
             IDLE: 'idle',
-            FRONT_FOOT_MOVING: 'front_foot_moving',
-            BACK_FOOT_FOLLOWING: 'back_foot_following'
+            JUMPING: 'jumping',
+            LANDING: 'landing',
+            LUNGING: 'lunging'
+        };
+        this.committedPhases = [this.phases.LANDING, this.phases.LUNGING];
+        
+        this.thresholds = {
+            JUMP_VELOCITY: 1.25,         // Hip rise speed to start a jump (per second)
+            LANDING_VELOCITY: 0.75,      // Hip fall speed on landing (per second)
+            LANDING_TOLERANCE: 0.05,     // Hip back within this of its starting height
+            MIN_JUMP_HEIGHT: 0.15,
+            MAX_GOOD_JUMP_HEIGHT: 0.4,   // Balestra should be low and forward
+            MIN_FOOT_LIFT: 0.075,        // Both feet must leave the ground
+            MIN_JUMP_FORWARD: 0.05,
+            MAX_JUMP_DURATION: 400,
+            MAX_LANDING_TO_LUNGE: 300,
+            QUICK_LUNGE_AFTER_LANDING: 150,
+            ARM_EXTENSION_START: 0.15,
+            ARM_EXTENSION_FULL: 0.30,
+            BACK_KNEE_MIN_STRAIGHT: 150,
+            FRONT_KNEE_LUNGE_MAX: 110,
+            STANCE_WIDTH_LUNGE: 1.6,     // Ankle spread, torso lengths
+            MAX_TOTAL_DURATION: 1500
+        };
+        this.profileThresholds = {
+            BACK_KNEE_MIN_STRAIGHT: 'backKneeMinStraight',
+            FRONT_KNEE_LUNGE_MAX: 'lungeKneeMax',
+            STANCE_WIDTH_LUNGE: 'lungeStanceMin'
         };
         
-        this.initialFrontAnkleX = null;
-        this.initialBackAnkleX = null;
-        this.movementThreshold = 0.05;
+        this.resetJump();
     }
     
     detect(frame, history) {
-        if (history.length < 5) return null;
+        if (history.length < 2) return null;
         
         const landmarks = frame.landmarks;
         if (!landmarks || landmarks.length < 33) return null;
         
-        // Determine facing and front/back legs
-        const leftShoulder = landmarks[PoseLandmark.LEFT_SHOULDER];
-        const rightShoulder = landmarks[PoseLandmark.RIGHT_SHOULDER];
-        const facingRight = leftShoulder.x > rightShoulder.x;
-        
-        const leftAnkle = landmarks[PoseLandmark.LEFT_ANKLE];
-        const rightAnkle = landmarks[PoseLandmark.RIGHT_ANKLE];
-        
-        const frontAnkle = facingRight 
-            ? (leftAnkle.x > rightAnkle.x ? leftAnkle : rightAnkle)
-            : (leftAnkle.x < rightAnkle.x ? leftAnkle : rightAnkle);
-        const backAnkle = facingRight
-            ? (leftAnkle.x > rightAnkle.x ? rightAnkle : leftAnkle)
-            : (leftAnkle.x < rightAnkle.x ? rightAnkle : leftAnkle);
-        
-        // Get previous frame
-        const prevFrame = history[history.length - 5];
+        const prevFrame = history[history.length - 2];
         const prevLandmarks = prevFrame.landmarks;
-        const prevLeftAnkle = prevLandmarks[PoseLandmark.LEFT_ANKLE];
-        const prevRightAnkle = prevLandmarks[PoseLandmark.RIGHT_ANKLE];
+        if (!prevLandmarks || prevLandmarks.length < 33) return null;
         
-        const prevFrontAnkle = facingRight
-            ? (prevLeftAnkle.x > prevRightAnkle.x ? prevLeftAnkle : prevRightAnkle)
-            : (prevLeftAnkle.x < prevRightAnkle.x ? prevLeftAnkle : prevRightAnkle);
-        const prevBackAnkle = facingRight
-            ? (prevLeftAnkle.x > prevRightAnkle.x ? prevRightAnkle : prevLeftAnkle)
-            : (prevLeftAnkle.x < prevRightAnkle.x ? prevRightAnkle : prevLeftAnkle);
+        const metrics = this.calculateMetrics(landmarks, frame.worldLandmarks);
         
-        // Calculate movement
-        const forwardDir = facingRight ? 1 : -1;
-        const frontMovement = (frontAnkle.x - prevFrontAnkle.x) * forwardDir;
-        const backMovement = (backAnkle.x - prevBackAnkle.x) * forwardDir;
+        // Hip vertical speed (negative = rising, image Y grows downward)
+        const prevHipCenter = midpoint(prevLandmarks[PoseLandmark.LEFT_HIP], prevLandmarks[PoseLandmark.RIGHT_HIP]);
+        const motion = {
+            hipVelocity: this.bodyVelocity(metrics.hipCenter, prevHipCenter, frame.timestamp - prevFrame.timestamp),
+            prevHipCenter,
+            ankleY: {
+                left: landmarks[PoseLandmark.LEFT_ANKLE].y,
+                right: landmarks[PoseLandmark.RIGHT_ANKLE].y
+            },
+            prevAnkleY: {
+                left: prevLandmarks[PoseLandmark.LEFT_ANKLE].y,
+                right: prevLandmarks[PoseLandmark.RIGHT_ANKLE].y
+            }
+        };
         
         switch (this.phase) {
             case this.phases.IDLE:
-                if (frontMovement > this.movementThreshold) {
-                    this.transitionTo(this.phases.FRONT_FOOT_MOVING);
-                    this.actionStartTime = Date.now();
-                    this.initialFrontAnkleX = prevFrontAnkle.x;
-                    this.initialBackAnkleX = prevBackAnkle.x;
-                }
-                break;
+                return this.handleIdle(metrics, motion);
                 
-            case this.phases.FRONT_FOOT_MOVING:
-                if (backMovement > this.movementThreshold / 2) {
-                    this.transitionTo(this.phases.BACK_FOOT_FOLLOWING);
-                }
+            case this.phases.JUMPING:
+                return this.handleJumping(metrics, motion);
                 
-                // Timeout
-                if (Date.now() - this.actionStartTime > 1000) {
-                    this.reset();
-                }
-                break;
+            case this.phases.LANDING:
+                return this.handleLanding(metrics);
                 
-            case this.phases.BACK_FOOT_FOLLOWING:
-                const duration = Date.now() - this.actionStartTime;
-                if (duration > 100) {
-                    this.reset();
-                    return {
-                        action: SaberAction.ADVANCE,
-                        quality: Quality.GOOD,
-                        feedback: '前进步！',
-                        duration: duration
-                    };
-                }
-                break;
+            case this.phases.LUNGING:
+                return this.handleLunging(metrics);
+        }
+        
+        return null;
+    }
+    
+    handleIdle(metrics, motion) {
+        if (motion.hipVelocity.y < -this.thresholds.JUMP_VELOCITY) {
+            // Measure the jump from the last frame before take-off
+            this.transitionTo(this.phases.JUMPING);
+            this.actionStartTime = this.now();
+            this.startHip = { ...motion.prevHipCenter };
+            this.jumpPeakY = metrics.hipCenter.y;
+            this.startAnkleY = { ...motion.prevAnkleY };
+            this.peakFootLift = { left: 0, right: 0 };
+            this.baselineArmExtension = metrics.armExtension;
+        }
+        
+        return null;
+    }
+    
+    handleJumping(metrics, motion) {
+        // Track jump peak (lowest Y) and how high each foot lifted
+        this.jumpPeakY = Math.min(this.jumpPeakY, metrics.hipCenter.y);
+        this.peakFootLift.left = Math.max(this.peakFootLift.left, this.toBody(this.startAnkleY.left - motion.ankleY.left));
+        this.peakFootLift.right = Math.max(this.peakFootLift.right, this.toBody(this.startAnkleY.right - motion.ankleY.right));
+        
+        if (this.now() - this.phaseStartTime > this.thresholds.MAX_JUMP_DURATION) {
+            this.reset();
+            return null;
+        }
+        
+        // Landing: falling and hip back near its starting height
+        const isFalling = motion.hipVelocity.y > this.thresholds.LANDING_VELOCITY;
+        const isDown = this.toBody(this.startHip.y - metrics.hipCenter.y) <= this.thresholds.LANDING_TOLERANCE;
+        
+        if (isFalling && isDown) {
+            const forwardDir = metrics.facingRight ? 1 : -1;
+            this.jumpHeight = this.toBody(this.startHip.y - this.jumpPeakY);
+            this.jumpForward = this.toBody((metrics.hipCenter.x - this.startHip.x) * forwardDir);
+            
+            const bothFeetLifted = this.peakFootLift.left >= this.thresholds.MIN_FOOT_LIFT &&
+                                   this.peakFootLift.right >= this.thresholds.MIN_FOOT_LIFT;
+            
+            if (this.jumpHeight >= this.thresholds.MIN_JUMP_HEIGHT &&
+                this.jumpForward >= this.thresholds.MIN_JUMP_FORWARD &&
+                bothFeetLifted) {
+                this.transitionTo(this.phases.LANDING);
+            } else {
+                this.reset();
+            }
+        }
+        
+        return null;
+    }
+    
+    handleLanding(metrics) {
+        const sinceLanding = this.now() - this.phaseStartTime;
+        const armDelta = metrics.armExtension - this.baselineArmExtension;
+        
+        // Lunge must start right after landing (arm first)
+        if (armDelta >= this.thresholds.ARM_EXTENSION_START) {
+            this.landingToLungeMs = sinceLanding;
+            this.peakArmDelta = armDelta;
+            this.transitionTo(this.phases.LUNGING);
+        } else if (sinceLanding > this.thresholds.MAX_LANDING_TO_LUNGE) {
+            // Just a jump, no lunge followed
+            this.reset();
+        }
+        
+        return null;
+    }
+    
+    handleLunging(metrics) {
+        const armDelta = metrics.armExtension - this.baselineArmExtension;
+        this.peakArmDelta = Math.max(this.peakArmDelta, armDelta);
+        
+        const isArmExtended = armDelta >= this.thresholds.ARM_EXTENSION_FULL;
+        const isFrontKneeBent = metrics.frontKneeAngle <= this.thresholds.FRONT_KNEE_LUNGE_MAX;
+        const isBackLegStraight = metrics.backKneeAngle >= this.thresholds.BACK_KNEE_MIN_STRAIGHT;
+        const isWideStance = metrics.stanceWidth >= this.thresholds.STANCE_WIDTH_LUNGE;
+        
+        if (isArmExtended && isFrontKneeBent && isBackLegStraight && isWideStance) {
+            const result = this.completeAction(metrics, this.calculateConfidence());
+            
+            this.reset();
+            
+            return result;
+        }
+        
+        if (this.now() - this.actionStartTime > this.thresholds.MAX_TOTAL_DURATION) {
+            this.reset();
         }
         
         return null;
     }
+    
+    /**
+     * A clear two-footed jump plus a full arm extension
+     */
+    calculateConfidence() {
+        const footLift = Math.min(this.peakFootLift.left, this.peakFootLift.right);
+        
+        return 0.5 +
+            0.2 * ramp(this.jumpHeight, this.thresholds.MIN_JUMP_HEIGHT, this.thresholds.MIN_JUMP_HEIGHT * 2) +
+            0.15 * ramp(footLift, this.thresholds.MIN_FOOT_LIFT, this.thresholds.MIN_FOOT_LIFT * 2) +
+            0.15 * ramp(this.peakArmDelta, this.thresholds.ARM_EXTENSION_FULL, this.thresholds.ARM_EXTENSION_FULL * 1.5);
+    }
+    
+    scoreCriteria(metrics) {
+        const t = this.thresholds;
+        
+        return [
+            // Lunge springs straight out of the landing
+            { id: 'quickLunge', label: '落地即弓步', weight: 20, credit: rampCredit(this.landingToLungeMs, t.MAX_LANDING_TO_LUNGE, t.QUICK_LUNGE_AFTER_LANDING) },
+            // Low, forward jump
+            { id: 'lowJump', label: '低跳向前', weight: 20, credit: rampCredit(this.jumpHeight, t.MAX_GOOD_JUMP_HEIGHT * 1.5, t.MAX_GOOD_JUMP_HEIGHT) },
+            { id: 'arm', label: '手臂伸直', weight: 20, credit: rampCredit(this.peakArmDelta, t.ARM_EXTENSION_FULL, t.ARM_EXTENSION_FULL * 1.2) },
+            { id: 'backKnee', label: '后腿伸直', weight: 20, credit: rampCredit(metrics.backKneeAngle, t.BACK_KNEE_MIN_STRAIGHT, 165) },
+            { id: 'frontKnee', label: '前膝弯曲', weight: 20, credit: bandCredit(metrics.frontKneeAngle, 80, 100, 25) }
+        ];
+    }
+    
+    generateFeedback(metrics, quality) {
+        if (quality === Quality.PERFECT) {
+            return '完美跳步弓步！';
+        }
+        
+        const issues = [];
+        
+        if (this.landingToLungeMs > this.thresholds.QUICK_LUNGE_AFTER_LANDING) {
+            issues.push('落地马上弓步');
+        }
+        
+        if (this.jumpHeight > this.thresholds.MAX_GOOD_JUMP_HEIGHT) {
+            issues.push('跳低一点，向前跳');
+        }
+        
+        if (this.peakArmDelta < this.thresholds.ARM_EXTENSION_FULL * 1.2) {
+            issues.push('手臂伸直');
+        }
+        
+        if (metrics.backKneeAngle < 165) {
+            issues.push('后腿伸直');
+        }
+        
+        if (metrics.frontKneeAngle > 100) {
+            issues.push('前膝再弯');
+        }
+        
+        return issues.length > 0 ? issues.join('，') : '不错！';
+    }
+    
+    resetJump() {
+        this.startHip = null;
+        this.jumpPeakY = 0;
+        this.startAnkleY = null;
+        this.peakFootLift = null;
+        this.jumpHeight = 0;
+        this.jumpForward = 0;
+        this.baselineArmExtension = 0;
+        this.landingToLungeMs = 0;
+        this.peakArmDelta = 0;
+    }
+    
+    reset() {
+        super.reset();
+        this.resetJump();
+    }
 }
 
 /**
- * Retreat Detector
+ * Flunge Detector - saber's flying lunge, with the back-foot crossover rule
  */
-class RetreatDetector extends BaseDetector {
+class FlungeDetector extends BaseDetector {
     constructor() {
         super();
+        this.action = SaberAction.FLUNGE;
+        this.supersedes = [SaberAction.LUNGE, SaberAction.ADVANCE];
         this.phases = {
             IDLE: 'idle',
-            BACK_FOOT_MOVING: 'back_foot_moving',
-            FRONT_FOOT_FOLLOWING: 'front_foot_following'
+            ARM_EXTENDING: 'arm_extending',
+            FLYING: 'flying'
+        };
+        this.committedPhases = [this.phases.FLYING];
+        
+        this.thresholds = {
+            ARM_EXTENSION_START: 0.20,
+            ARM_EXTENSION_FULL: 0.30,
+            FLUNGE_VELOCITY: 4.0,        // Hip forward speed, much faster than a lunge (per second)
+            STOP_VELOCITY_RATIO: 0.3,    // Flight ends when speed drops below this share of the peak
+            CROSSOVER_MARGIN: 0.05,      // Back foot this far past the front foot is a crossover
+            BACK_KNEE_MIN_STRAIGHT: 155,
+            FRONT_KNEE_LUNGE_MAX: 110,
+            STANCE_WIDTH_LUNGE: 1.6,     // Ankle spread, torso lengths
+            MAX_ARM_TO_FLIGHT: 500,
+            MAX_FLUNGE_DURATION: 600
+        };
+        this.profileThresholds = {
+            BACK_KNEE_MIN_STRAIGHT: 'backKneeMinStraight',
+            FRONT_KNEE_LUNGE_MAX: 'lungeKneeMax',
+            STANCE_WIDTH_LUNGE: 'lungeStanceMin'
         };
         
-        this.movementThreshold = 0.05;
+        this.baselineArmExtension = null;
+        this.peakVelocity = 0;
+        this.peakArmDelta = 0;
+        this.frontLegLeft = null;
     }
     
     detect(frame, history) {
-        if (history.length < 5) return null;
+        if (history.length < 2) return null;
         
         const landmarks = frame.landmarks;
         if (!landmarks || landmarks.length < 33) return null;
         
-        // Determine facing and front/back legs
-        const leftShoulder = landmarks[PoseLandmark.LEFT_SHOULDER];
-        const rightShoulder = landmarks[PoseLandmark.RIGHT_SHOULDER];
-        const facingRight = leftShoulder.x > rightShoulder.x;
-        
-        const leftAnkle = landmarks[PoseLandmark.LEFT_ANKLE];
-        const rightAnkle = landmarks[PoseLandmark.RIGHT_ANKLE];
-        
-        const frontAnkle = facingRight 
-            ? (leftAnkle.x > rightAnkle.x ? leftAnkle : rightAnkle)
-            : (leftAnkle.x < rightAnkle.x ? leftAnkle : rightAnkle);
-        const backAnkle = facingRight
-            ? (leftAnkle.x > rightAnkle.x ? rightAnkle : leftAnkle)
-            : (leftAnkle.x < rightAnkle.x ? rightAnkle : leftAnkle);
-        
-        // Get previous frame
-        const prevFrame = history[history.length - 5];
+        const prevFrame = history[history.length - 2];
         const prevLandmarks = prevFrame.landmarks;
-        const prevLeftAnkle = prevLandmarks[PoseLandmark.LEFT_ANKLE];
-        const prevRightAnkle = prevLandmarks[PoseLandmark.RIGHT_ANKLE];
+        if (!prevLandmarks || prevLandmarks.length < 33) return null;
         
-        const prevFrontAnkle = facingRight
-            ? (prevLeftAnkle.x > prevRightAnkle.x ? prevLeftAnkle : prevRightAnkle)
-            : (prevLeftAnkle.x < prevRightAnkle.x ? prevLeftAnkle : prevRightAnkle);
-        const prevBackAnkle = facingRight
-            ? (prevLeftAnkle.x > prevRightAnkle.x ? prevRightAnkle : prevLeftAnkle)
-            : (prevLeftAnkle.x < prevRightAnkle.x ? prevRightAnkle : prevLeftAnkle);
+        const metrics = this.calculateMetrics(landmarks, frame.worldLandmarks);
         
-        // Calculate backward movement
-        const backwardDir = facingRight ? -1 : 1;
-        const backFootBackward = (backAnkle.x - prevBackAnkle.x) * backwardDir;
-        const frontFootBackward = (frontAnkle.x - prevFrontAnkle.x) * backwardDir;
+        // Forward speed of the body
+        const prevHipCenter = midpoint(prevLandmarks[PoseLandmark.LEFT_HIP], prevLandmarks[PoseLandmark.RIGHT_HIP]);
+        const hipVelocity = this.bodyVelocity(metrics.hipCenter, prevHipCenter, frame.timestamp - prevFrame.timestamp);
+        const forwardDir = metrics.facingRight ? 1 : -1;
+        const forwardVelocity = hipVelocity.x * forwardDir;
         
         switch (this.phase) {
             case this.phases.IDLE:
-                if (backFootBackward > this.movementThreshold) {
-                    this.transitionTo(this.phases.BACK_FOOT_MOVING);
-                    this.actionStartTime = Date.now();
-                }
-                break;
-                
-            case this.phases.BACK_FOOT_MOVING:
-                if (frontFootBackward > this.movementThreshold / 2) {
-                    this.transitionTo(this.phases.FRONT_FOOT_FOLLOWING);
-                }
+                return this.handleIdle(metrics);
                 
-                if (Date.now() - this.actionStartTime > 1000) {
-                    this.reset();
-                }
-                break;
+            case this.phases.ARM_EXTENDING:
+                return this.handleArmExtending(metrics, forwardVelocity);
                 
-            case this.phases.FRONT_FOOT_FOLLOWING:
-                const duration = Date.now() - this.actionStartTime;
-                if (duration > 100) {
-                    this.reset();
-                    return {
-                        action: SaberAction.RETREAT,
-                        quality: Quality.GOOD,
-                        feedback: '后退步！',
-                        duration: duration
-                    };
-                }
-                break;
+            case this.phases.FLYING:
+                return this.handleFlying(metrics, forwardVelocity, landmarks, forwardDir);
         }
         
         return null;
     }
-}
-
-/**
- * Action Detector Manager
- */
-export class ActionDetectorManager {
-    constructor() {
-        this.detectors = [
-            new LungeDetector(),
-            new AdvanceDetector(),
-            new RetreatDetector()
-        ];
-    }
     
-    detect(frame, history) {
-        for (const detector of this.detectors) {
-            const result = detector.detect(frame, history);
-            if (result) {
-                return result;
-            }
+    handleIdle(metrics) {
+        if (this.baselineArmExtension === null) {
+            this.baselineArmExtension = metrics.armExtension;
         }
+        
+        // Arm extends first
+        const armDelta = metrics.armExtension - this.baselineArmExtension;
+        
+        if (armDelta >= this.thresholds.ARM_EXTENSION_START) {
+            this.transitionTo(this.phases.ARM_EXTENDING);
+            this.actionStartTime = this.now();
+        }
+        
         return null;
     }
     
+    handleArmExtending(metrics, forwardVelocity) {
+        const armDelta = metrics.armExtension - this.baselineArmExtension;
+        
+        // Explosive forward push with the arm already extended
+        if (armDelta >= this.thresholds.ARM_EXTENSION_START &&
+            forwardVelocity > this.thresholds.FLUNGE_VELOCITY) {
+            this.transitionTo(this.phases.FLYING);
+            this.peakVelocity = forwardVelocity;
+            this.peakArmDelta = armDelta;
+            // Remember which foot was in front when the flunge started
+            this.frontLegLeft = metrics.frontLegLeft;
+        } else if (this.now() - this.actionStartTime > this.thresholds.MAX_ARM_TO_FLIGHT) {
+            // Too slow for a flunge
+            this.reset();
+        } else if (metrics.frontKneeAngle <= this.thresholds.FRONT_KNEE_LUNGE_MAX &&
+                   metrics.stanceWidth >= this.thresholds.STANCE_WIDTH_LUNGE) {
+            // Landed in a plain lunge without ever taking off
+            this.reset();
+        }
+        
+        return null;
+    }
+    
+    handleFlying(metrics, forwardVelocity, landmarks, forwardDir) {
+        this.peakVelocity = Math.max(this.peakVelocity, forwardVelocity);
+        this.peakArmDelta = Math.max(this.peakArmDelta, metrics.armExtension - this.baselineArmExtension);
+        
+        // Rule check: the original back foot must never pass the original front foot
+        const frontAnkle = landmarks[this.frontLegLeft ? PoseLandmark.LEFT_ANKLE : PoseLandmark.RIGHT_ANKLE];
+        const backAnkle = landmarks[this.frontLegLeft ? PoseLandmark.RIGHT_ANKLE : PoseLandmark.LEFT_ANKLE];
+        const backFootLead = this.toBody((backAnkle.x - frontAnkle.x) * forwardDir);
+        
+        if (backFootLead > this.thresholds.CROSSOVER_MARGIN) {
+            const margin = this.thresholds.CROSSOVER_MARGIN;
+            const result = this.buildResult({
+                action: SaberAction.CROSSOVER,
+                quality: Quality.POOR,
+                score: 0,   // A foul earns nothing
+                breakdown: [],
+                feedback: '犯规！后脚不能超过前脚'
+            }, 0.5 + 0.5 * ramp(backFootLead, margin, margin * 3));
+            
+            this.reset();
+            
+            return result;
+        }
+        
+        const elapsed = this.now() - this.actionStartTime;
+        
+        // Landed: speed dropped off with the arm extended and back leg straight
+        const hasStopped = forwardVelocity < this.peakVelocity * this.thresholds.STOP_VELOCITY_RATIO;
+        const isArmExtended = metrics.armExtension - this.baselineArmExtension >= this.thresholds.ARM_EXTENSION_START;
+        const isBackLegStraight = metrics.backKneeAngle >= this.thresholds.BACK_KNEE_MIN_STRAIGHT;
+        
+        if (hasStopped && isArmExtended && isBackLegStraight) {
+            const velocity = this.thresholds.FLUNGE_VELOCITY;
+            const result = this.completeAction(metrics, 0.5 +
+                0.3 * ramp(this.peakVelocity, velocity, velocity * 2) +
+                0.2 * ramp(this.peakArmDelta, this.thresholds.ARM_EXTENSION_START, this.thresholds.ARM_EXTENSION_FULL));
+            
+            this.reset();
+            
+            return result;
+        }
+        
+        if (elapsed > this.thresholds.MAX_FLUNGE_DURATION) {
+            this.reset();
+        }
+        
+        return null;
+    }
+    
+    scoreCriteria(metrics) {
+        const t = this.thresholds;
+        
+        return [
+            { id: 'speed', label: '冲刺速度', weight: 40, credit: rampCredit(this.peakVelocity, t.FLUNGE_VELOCITY, t.FLUNGE_VELOCITY * 1.5) },
+            { id: 'arm', label: '手臂伸直', weight: 30, credit: rampCredit(this.peakArmDelta, t.ARM_EXTENSION_FULL, t.ARM_EXTENSION_FULL * 1.2) },
+            { id: 'backKnee', label: '后腿伸直', weight: 30, credit: rampCredit(metrics.backKneeAngle, t.BACK_KNEE_MIN_STRAIGHT, 165) }
+        ];
+    }
+    
+    generateFeedback(metrics, quality) {
+        if (quality === Quality.PERFECT) {
+            return '完美飞弓步！';
+        }
+        
+        const issues = [];
+        
+        if (this.peakVelocity <= this.thresholds.FLUNGE_VELOCITY * 1.5) {
+            issues.push('冲得再快一点');
+        }
+        
+        if (this.peakArmDelta < this.thresholds.ARM_EXTENSION_FULL * 1.2) {
+            issues.push('手臂伸直');
+        }
+        
+        if (metrics.backKneeAngle < 165) {
+            issues.push('后腿伸直');
+        }
+        
+        return issues.length > 0 ? issues.join('，') : '不错！';
+    }
+    
+    reset() {
+        super.reset();
+        this.baselineArmExtension = null;
+        this.peakVelocity = 0;
+        this.peakArmDelta = 0;
+        this.frontLegLeft = null;
+    }
+}
+
+/**
+ * Step Detector - shared detection and scoring for advance and retreat. The
+ * lead foot steps, the other follows; scored on step length against the
+ * stance, En Garde knee bend held, hip kept level and feet in the right order.
+ * Foot speeds are per second over a fixed time window, so the same step reads
+ * the same at any frame rate.
+ */
+class StepDetector extends BaseDetector {
+    constructor() {
+        super();
+        this.phases = {
+            IDLE: 'idle',
+            LEAD_FOOT_MOVING: 'lead_foot_moving',
+            FOLLOW_FOOT_MOVING: 'follow_foot_moving'
+        };
+        
+        this.thresholds = {
+            VELOCITY_WINDOW: 100,    // ms of history each foot speed is measured over
+            LEAD_VELOCITY: 1.75,     // Lead foot speed that starts a step (per second)
+            FOLLOW_VELOCITY: 0.9,    // Other foot speed that counts as following
+            STOP_VELOCITY: 0.5,      // Following foot has landed
+            MIN_STEP_DURATION: 100,
+            MAX_LEAD_DURATION: 1000,
+            MAX_FOLLOW_DURATION: 500,
+            MIN_STEP_RATIO: 0.2,     // Lead foot travel / stance length
+            MAX_STEP_RATIO: 0.75,
+            KNEE_MIN: 100,           // En Garde front knee range
+            KNEE_MAX: 150,
+            MAX_HIP_BOB: 0.075       // Hip rise and fall during the step
+        };
+        this.profileThresholds = {
+            KNEE_MIN: 'enGardeKneeMin',
+            KNEE_MAX: 'enGardeKneeMax'
+        };
+        
+        // Set by subclasses
+        this.leadFoot = 'front';     // Foot that moves first: 'front' or 'back'
+        this.direction = 1;          // 1 = forward, -1 = backward
+        this.perfectFeedback = '';
+        this.orderFeedback = '';
+        
+        this.resetStep();
+    }
+    
+    detect(frame, history) {
+        if (history.length < 2) return null;
+        
+        const landmarks = frame.landmarks;
+        if (!landmarks || landmarks.length < 33) return null;
+        
+        const pastFrame = this.getFrameBefore(history, frame.timestamp, this.thresholds.VELOCITY_WINDOW);
+        const pastLandmarks = pastFrame.landmarks;
+        const deltaTime = frame.timestamp - pastFrame.timestamp;
+        if (!pastLandmarks || pastLandmarks.length < 33 || deltaTime <= 0) return null;
+        
+        const metrics = this.calculateMetrics(landmarks, frame.worldLandmarks);
+        const feet = this.getFeet(landmarks, metrics.frontLegLeft);
+        const pastFeet = this.getFeet(pastLandmarks, metrics.frontLegLeft);
+        
+        // Foot speeds along the step direction
+        const stepDir = (metrics.facingRight ? 1 : -1) * this.direction;
+        const motion = {
+            feet,
+            pastFeet,
+            stepDir,
+            leadVelocity: this.bodyVelocity(feet.lead, pastFeet.lead, deltaTime).x * stepDir,
+            followVelocity: this.bodyVelocity(feet.follow, pastFeet.follow, deltaTime).x * stepDir
+        };
+        
+        switch (this.phase) {
+            case this.phases.IDLE:
+                return this.handleIdle(metrics, motion);
+                
+            case this.phases.LEAD_FOOT_MOVING:
+                return this.handleLeadMoving(metrics, motion);
+                
+            case this.phases.FOLLOW_FOOT_MOVING:
+                return this.handleFollowMoving(metrics, motion);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Front foot is on the weapon-hand side; lead/follow per step direction
+     */
+    getFeet(landmarks, frontLegLeft) {
+        const leftAnkle = landmarks[PoseLandmark.LEFT_ANKLE];
+        const rightAnkle = landmarks[PoseLandmark.RIGHT_ANKLE];
+        
+        const front = frontLegLeft ? leftAnkle : rightAnkle;
+        const back = frontLegLeft ? rightAnkle : leftAnkle;
+        
+        return this.leadFoot === 'front'
+            ? { front, back, lead: front, follow: back }
+            : { front, back, lead: back, follow: front };
+    }
+    
+    handleIdle(metrics, motion) {
+        if (motion.leadVelocity > this.thresholds.LEAD_VELOCITY) {
+            this.transitionTo(this.phases.LEAD_FOOT_MOVING);
+            this.actionStartTime = this.now();
+            
+            // Measure the step from the stance before it started
+            this.stanceLength = Math.abs(motion.pastFeet.front.x - motion.pastFeet.back.x);
+            this.leadStartX = motion.pastFeet.lead.x;
+            this.peakLeadVelocity = motion.leadVelocity;
+            // Other foot already on its way = wrong order
+            this.followMovedFirst = motion.followVelocity > this.thresholds.FOLLOW_VELOCITY;
+            
+            this.minKneeAngle = metrics.frontKneeAngle;
+            this.maxKneeAngle = metrics.frontKneeAngle;
+            this.minHipY = metrics.hipCenter.y;
+            this.maxHipY = metrics.hipCenter.y;
+        }
+        
+        return null;
+    }
+    
+    handleLeadMoving(metrics, motion) {
+        this.trackStep(metrics);
+        this.peakLeadVelocity = Math.max(this.peakLeadVelocity, motion.leadVelocity);
+        
+        if (motion.followVelocity > this.thresholds.FOLLOW_VELOCITY) {
+            this.transitionTo(this.phases.FOLLOW_FOOT_MOVING);
+            this.peakFollowVelocity = motion.followVelocity;
+        } else if (this.now() - this.actionStartTime > this.thresholds.MAX_LEAD_DURATION) {
+            this.reset();
+        }
+        
+        return null;
+    }
+    
+    handleFollowMoving(metrics, motion) {
+        this.trackStep(metrics);
+        this.peakFollowVelocity = Math.max(this.peakFollowVelocity, motion.followVelocity);
+        
+        const hasLanded = motion.followVelocity < this.thresholds.STOP_VELOCITY &&
+                          this.now() - this.actionStartTime >= this.thresholds.MIN_STEP_DURATION;
+        const isTooLong = this.now() - this.phaseStartTime > this.thresholds.MAX_FOLLOW_DURATION;
+        
+        if (hasLanded || isTooLong) {
+            this.stepLength = (motion.feet.lead.x - this.leadStartX) * motion.stepDir;
+            
+            const result = this.completeAction(metrics, this.calculateConfidence());
+            this.reset();
+            return result;
+        }
+        
+        return null;
+    }
+    
+    trackStep(metrics) {
+        this.minKneeAngle = Math.min(this.minKneeAngle, metrics.frontKneeAngle);
+        this.maxKneeAngle = Math.max(this.maxKneeAngle, metrics.frontKneeAngle);
+        this.minHipY = Math.min(this.minHipY, metrics.hipCenter.y);
+        this.maxHipY = Math.max(this.maxHipY, metrics.hipCenter.y);
+    }
+    
+    /**
+     * How clearly the lead foot stepped and the other followed
+     */
+    calculateConfidence() {
+        const lead = this.thresholds.LEAD_VELOCITY;
+        const follow = this.thresholds.FOLLOW_VELOCITY;
+        
+        return 0.4 +
+            0.3 * ramp(this.peakLeadVelocity, lead, lead * 2) +
+            0.3 * ramp(this.peakFollowVelocity, follow, follow * 2);
+    }
+    
+    getHipBob() {
+        return this.toBody(this.maxHipY - this.minHipY);
+    }
+    
+    getStepRatio() {
+        return this.stanceLength > 0 ? this.stepLength / this.stanceLength : 0;
+    }
+    
+    scoreCriteria(metrics) {
+        const t = this.thresholds;
+        
+        // En Garde knee bend kept throughout: the worst moment counts
+        const kneeCredit = Math.min(
+            bandCredit(this.minKneeAngle, t.KNEE_MIN, t.KNEE_MAX, 20),
+            bandCredit(this.maxKneeAngle, t.KNEE_MIN, t.KNEE_MAX, 20)
+        );
+        
+        return [
+            // Step sized to the stance
+            { id: 'stepSize', label: '步幅', weight: 25, credit: bandCredit(this.getStepRatio(), t.MIN_STEP_RATIO, t.MAX_STEP_RATIO, 0.15) },
+            { id: 'knee', label: '膝盖弯曲', weight: 25, credit: kneeCredit },
+            // Level hips, no bouncing
+            { id: 'hipLevel', label: '重心平稳', weight: 25, credit: rampCredit(this.getHipBob(), t.MAX_HIP_BOB * 2, t.MAX_HIP_BOB) },
+            // Lead foot first, the other follows
+            { id: 'footOrder', label: '脚步顺序', weight: 25, credit: this.followMovedFirst ? 0 : 1 }
+        ];
+    }
+    
+    generateFeedback(metrics, quality) {
+        if (quality === Quality.PERFECT) {
+            return this.perfectFeedback;
+        }
+        
+        const issues = [];
+        const ratio = this.getStepRatio();
+        
+        if (this.followMovedFirst) {
+            issues.push(this.orderFeedback);
+        }
+        
+        if (ratio < this.thresholds.MIN_STEP_RATIO) {
+            issues.push('步子再大一点');
+        } else if (ratio > this.thresholds.MAX_STEP_RATIO) {
+            issues.push('步子太大，小步移动');
+        }
+        
+        if (this.maxKneeAngle > this.thresholds.KNEE_MAX) {
+            issues.push('膝盖保持弯曲');
+        } else if (this.minKneeAngle < this.thresholds.KNEE_MIN) {
+            issues.push('膝盖别蹲太低');
+        }
+        
+        if (this.getHipBob() > this.thresholds.MAX_HIP_BOB) {
+            issues.push('重心平稳，不要上下起伏');
+        }
+        
+        return issues.length > 0 ? issues.join('，') : '不错！';
+    }
+    
+    resetStep() {
+        this.peakLeadVelocity = 0;
+        this.peakFollowVelocity = 0;
+        this.stanceLength = 0;
+        this.leadStartX = 0;
+        this.stepLength = 0;
+        this.followMovedFirst = false;
+        this.minKneeAngle = 0;
+        this.maxKneeAngle = 0;
+        this.minHipY = 0;
+        this.maxHipY = 0;
+    }
+    
+    reset() {
+        super.reset();
+        this.resetStep();
+    }
+}
+
+/**
+ * Advance Detector - front foot steps forward, back foot follows
+ */
+class AdvanceDetector extends StepDetector {
+    constructor() {
+        super();
+        this.action = SaberAction.ADVANCE;
+        this.phases = {
+            IDLE: 'idle',
+            LEAD_FOOT_MOVING: 'front_foot_moving',
+            FOLLOW_FOOT_MOVING: 'back_foot_following'
+        };
+        
+        this.leadFoot = 'front';
+        this.direction = 1;
+        this.perfectFeedback = '完美前进步！';
+        this.orderFeedback = '前脚先动，后脚跟上';
+    }
+}
+
+/**
+ * Retreat Detector - back foot steps back, front foot follows
+ */
+class RetreatDetector extends StepDetector {
+    constructor() {
+        super();
+        this.action = SaberAction.RETREAT;
+        this.phases = {
+            IDLE: 'idle',
+            LEAD_FOOT_MOVING: 'back_foot_moving',
+            FOLLOW_FOOT_MOVING: 'front_foot_following'
+        };
+        
+        this.leadFoot = 'back';
+        this.direction = -1;
+        this.perfectFeedback = '完美后退步！';
+        this.orderFeedback = '后脚先动，前脚跟上';
+    }
+}
+
+/**
+ * Parry-Riposte Detector - classifies the parry, then expects a quick riposte
+ */
+class ParryRiposteDetector extends BaseDetector {
+    constructor() {
+        super();
+        this.action = SaberAction.PARRY_RIPOSTE;
+        this.phases = {
+            IDLE: 'idle',
+            PARRYING: 'parrying',
+            PARRY_SET: 'parry_set',
+            RIPOSTING: 'riposting'
+        };
+        
+        this.thresholds = {
+            PARRY_VELOCITY: 1.5,          // Wrist speed that starts a parry (per second)
+            PARRY_SET_VELOCITY: 0.75,     // Wrist has stopped in the parry position
+            PARRY_MIN_DISPLACEMENT: 0.2,
+            PARRY_MAX_FORWARD: 0.2,       // Wrist travelling further forward is an attack
+            MAX_PARRY_DURATION: 300,
+            QUICK_PARRY_SET: 150,         // Parry in position this fast scores full
+            MAX_PARRY_TO_RIPOSTE: 400,
+            QUICK_RIPOSTE: 200,
+            RIPOSTE_VELOCITY: 2.0,        // Forward wrist speed (per second)
+            RIPOSTE_ARM_DELTA: 0.15,
+            RIPOSTE_MIN_DISTANCE: 0.15,
+            MAX_RIPOSTE_DURATION: 400
+        };
+        
+        this.resetParry();
+    }
+    
+    detect(frame, history) {
+        if (history.length < 2) return null;
+        
+        const landmarks = frame.landmarks;
+        if (!landmarks || landmarks.length < 33) return null;
+        
+        const prevFrame = history[history.length - 2];
+        const prevLandmarks = prevFrame.landmarks;
+        if (!prevLandmarks || prevLandmarks.length < 33) return null;
+        
+        const metrics = this.calculateMetrics(landmarks, frame.worldLandmarks);
+        const wristIndex = metrics.leftHanded ? PoseLandmark.LEFT_WRIST : PoseLandmark.RIGHT_WRIST;
+        
+        const wrist = landmarks[wristIndex];
+        const prevWrist = prevLandmarks[wristIndex];
+        
+        const deltaTime = frame.timestamp - prevFrame.timestamp;
+        const lateralOffset = this.getLateralOffset(landmarks, wrist, metrics.leftHanded);
+        const prevLateralOffset = this.getLateralOffset(prevLandmarks, prevWrist, metrics.leftHanded);
+        
+        const motion = {
+            wrist,
+            prevWrist,
+            wristVelocity: this.bodyVelocity(wrist, prevWrist, deltaTime),
+            lateralVelocity: deltaTime > 0 ? (lateralOffset - prevLateralOffset) / deltaTime * 1000 : 0,
+            forwardDir: metrics.facingRight ? 1 : -1,
+            lateralOffset,
+            prevLateralOffset
+        };
+        motion.wristSpeed = Math.max(motion.wristVelocity.magnitude, Math.abs(motion.lateralVelocity));
+        
+        switch (this.phase) {
+            case this.phases.IDLE:
+                return this.handleIdle(metrics, motion);
+                
+            case this.phases.PARRYING:
+                return this.handleParrying(metrics, motion);
+                
+            case this.phases.PARRY_SET:
+                return this.handleParrySet(metrics, motion);
+                
+            case this.phases.RIPOSTING:
+                return this.handleRiposting(metrics, motion);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Wrist offset from the shoulder midline, positive towards the weapon-arm
+     * side (outside) and negative across the body (inside). With the fencer
+     * side-on to the camera, outside/inside is along the depth (z) axis.
+     */
+    getLateralOffset(landmarks, wrist, leftHanded) {
+        const weaponShoulder = landmarks[leftHanded ? PoseLandmark.LEFT_SHOULDER : PoseLandmark.RIGHT_SHOULDER];
+        const otherShoulder = landmarks[leftHanded ? PoseLandmark.RIGHT_SHOULDER : PoseLandmark.LEFT_SHOULDER];
+        const shoulderMid = midpoint(weaponShoulder, otherShoulder);
+        const outsideDir = (weaponShoulder.z || 0) > (otherShoulder.z || 0) ? 1 : -1;
+        
+        return this.toBody(((wrist.z || 0) - shoulderMid.z) * outsideDir);
+    }
+    
+    handleIdle(metrics, motion) {
+        if (motion.wristSpeed > this.thresholds.PARRY_VELOCITY) {
+            this.transitionTo(this.phases.PARRYING);
+            this.actionStartTime = this.now();
+            this.parryStart = {
+                wrist: { ...motion.prevWrist },
+                lateralOffset: motion.prevLateralOffset
+            };
+        }
+        
+        return null;
+    }
+    
+    handleParrying(metrics, motion) {
+        // Pushing the wrist forward means an attack, not a parry
+        const forward = this.toBody((motion.wrist.x - this.parryStart.wrist.x) * motion.forwardDir);
+        if (forward > this.thresholds.PARRY_MAX_FORWARD) {
+            this.reset();
+            return null;
+        }
+        
+        const elapsed = this.now() - this.phaseStartTime;
+        const isSet = motion.wristSpeed < this.thresholds.PARRY_SET_VELOCITY;
+        
+        if (isSet || elapsed > this.thresholds.MAX_PARRY_DURATION) {
+            this.parrySetMs = elapsed;
+            this.parryPosition = this.classifyParry(motion);
+            
+            if (this.parryPosition) {
+                this.parrySet = {
+                    wrist: { ...motion.wrist },
+                    armExtension: metrics.armExtension
+                };
+                this.transitionTo(this.phases.PARRY_SET);
+            } else {
+                this.reset();
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Quinte lifts the wrist to protect the head; tierce moves it to the
+     * outside and quarte across the body
+     */
+    classifyParry(motion) {
+        const rise = this.toBody(this.parryStart.wrist.y - motion.wrist.y);
+        const lateral = motion.lateralOffset - this.parryStart.lateralOffset;
+        const minDisplacement = this.thresholds.PARRY_MIN_DISPLACEMENT;
+        
+        this.parryDisplacement = Math.max(rise, Math.abs(lateral));
+        // How clearly one direction won, so the position isn't a guess
+        this.parryMargin = Math.abs(rise - Math.abs(lateral));
+        
+        if (rise >= minDisplacement && rise > Math.abs(lateral)) {
+            return ParryPosition.QUINTE;
+        }
+        
+        if (Math.abs(lateral) >= minDisplacement) {
+            return lateral > 0 ? ParryPosition.TIERCE : ParryPosition.QUARTE;
+        }
+        
+        return null;
+    }
+    
+    handleParrySet(metrics, motion) {
+        const sinceParry = this.now() - this.phaseStartTime;
+        const forwardVelocity = motion.wristVelocity.x * motion.forwardDir;
+        
+        if (forwardVelocity > this.thresholds.RIPOSTE_VELOCITY) {
+            this.parryToRiposteMs = sinceParry;
+            this.peakRiposteVelocity = forwardVelocity;
+            this.peakRiposteArm = metrics.armExtension;
+            this.transitionTo(this.phases.RIPOSTING);
+        } else if (sinceParry > this.thresholds.MAX_PARRY_TO_RIPOSTE) {
+            return this.parryOnlyResult();
+        }
+        
+        return null;
+    }
+    
+    handleRiposting(metrics, motion) {
+        const forwardVelocity = motion.wristVelocity.x * motion.forwardDir;
+        this.peakRiposteVelocity = Math.max(this.peakRiposteVelocity, forwardVelocity);
+        this.peakRiposteArm = Math.max(this.peakRiposteArm, metrics.armExtension);
+        
+        const armDelta = metrics.armExtension - this.parrySet.armExtension;
+        const distance = this.toBody((motion.wrist.x - this.parrySet.wrist.x) * motion.forwardDir);
+        const hasReached = armDelta >= this.thresholds.RIPOSTE_ARM_DELTA &&
+                           distance >= this.thresholds.RIPOSTE_MIN_DISTANCE;
+        const hasStopped = forwardVelocity < this.thresholds.RIPOSTE_VELOCITY / 2;
+        
+        if (hasReached && hasStopped) {
+            const { score, breakdown } = this.evaluateScore(metrics);
+            const quality = scoreToQuality(score);
+            const feedback = this.generateFeedback(metrics, quality);
+            const velocity = this.thresholds.RIPOSTE_VELOCITY;
+            const result = this.buildResult({
+                action: SaberAction.PARRY_RIPOSTE,
+                parry: this.parryPosition,
+                riposte: true,
+                quality: quality,
+                score: score,
+                breakdown: breakdown,
+                feedback: feedback
+            }, this.parryConfidence() + 0.3 * ramp(this.peakRiposteVelocity, velocity, velocity * 2));
+            
+            this.reset();
+            
+            return result;
+        }
+        
+        if (this.now() - this.phaseStartTime > this.thresholds.MAX_RIPOSTE_DURATION) {
+            return this.parryOnlyResult();
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Parry held but no riposte followed in time; scored on the parry alone
+     */
+    parryOnlyResult() {
+        const parry = this.parryPosition;
+        const { score, breakdown } = scoreCriteria(this.parryCriteria());
+        const result = this.buildResult({
+            action: SaberAction.PARRY,
+            parry: parry,
+            riposte: false,
+            quality: scoreToQuality(score),
+            score: score,
+            breakdown: breakdown,
+            feedback: this.parryFeedback()
+        }, this.parryConfidence());
+        
+        this.reset();
+        
+        return result;
+    }
+    
+    /**
+     * How far the wrist travelled into the parry position
+     */
+    parryConfidence() {
+        const minDisplacement = this.thresholds.PARRY_MIN_DISPLACEMENT;
+        return 0.4 + 0.3 * ramp(this.parryDisplacement, minDisplacement, minDisplacement * 2);
+    }
+    
+    /**
+     * Criteria of the parry itself: how far, how fast and how clearly it moved
+     * into position
+     */
+    parryCriteria() {
+        const t = this.thresholds;
+        
+        return [
+            { id: 'displacement', label: '格挡幅度', weight: 40, credit: rampCredit(this.parryDisplacement, t.PARRY_MIN_DISPLACEMENT, t.PARRY_MIN_DISPLACEMENT * 2) },
+            { id: 'parrySpeed', label: '到位速度', weight: 30, credit: rampCredit(this.parrySetMs, t.MAX_PARRY_DURATION, t.QUICK_PARRY_SET) },
+            { id: 'clearPosition', label: '位置清晰', weight: 30, credit: rampCredit(this.parryMargin, 0, t.PARRY_MIN_DISPLACEMENT) }
+        ];
+    }
+    
+    parryFeedback() {
+        const t = this.thresholds;
+        const issues = [];
+        
+        if (this.parryDisplacement < t.PARRY_MIN_DISPLACEMENT * 2) {
+            issues.push('格挡幅度再大一点');
+        }
+        
+        if (this.parrySetMs > t.QUICK_PARRY_SET) {
+            issues.push('格挡更快到位');
+        }
+        
+        if (this.parryMargin < t.PARRY_MIN_DISPLACEMENT) {
+            issues.push('格挡位置再明确一点');
+        }
+        
+        issues.push('格挡后马上反攻！');
+        return `${ParryDisplayNames[this.parryPosition]}，${issues.join('，')}`;
+    }
+    
+    scoreCriteria(metrics) {
+        const t = this.thresholds;
+        
+        return [
+            { id: 'quickRiposte', label: '反攻速度', weight: 40, credit: rampCredit(this.parryToRiposteMs, t.MAX_PARRY_TO_RIPOSTE, t.QUICK_RIPOSTE) },
+            { id: 'decisive', label: '出剑果断', weight: 30, credit: rampCredit(this.peakRiposteVelocity, t.RIPOSTE_VELOCITY, t.RIPOSTE_VELOCITY * 1.5) },
+            { id: 'arm', label: '手臂伸直', weight: 30, credit: rampCredit(this.peakRiposteArm, 0.75, 0.9) }
+        ];
+    }
+    
+    generateFeedback(metrics, quality) {
+        const parryName = ParryDisplayNames[this.parryPosition];
+        
+        if (quality === Quality.PERFECT) {
+            return `${parryName}，反攻漂亮！`;
+        }
+        
+        const issues = [];
+        
+        if (this.parryToRiposteMs > this.thresholds.QUICK_RIPOSTE) {
+            issues.push('反攻再快一点');
+        }
+        
+        if (this.peakRiposteVelocity <= this.thresholds.RIPOSTE_VELOCITY * 1.5) {
+            issues.push('出剑更果断');
+        }
+        
+        if (this.peakRiposteArm < 0.9) {
+            issues.push('手臂伸直');
+        }
+        
+        return `${parryName}，${issues.length > 0 ? issues.join('，') : '不错！'}`;
+    }
+    
+    resetParry() {
+        this.parryStart = null;
+        this.parrySet = null;
+        this.parryPosition = null;
+        this.parryDisplacement = 0;
+        this.parryMargin = 0;
+        this.parrySetMs = 0;
+        this.parryToRiposteMs = 0;
+        this.peakRiposteVelocity = 0;
+        this.peakRiposteArm = 0;
+    }
+    
+    reset() {
+        super.reset();
+        this.resetParry();
+    }
+}
+
+/**
+ * Action Detector Manager
+ */
+export class ActionDetectorManager {
+    constructor(bodyScale = new BodyScale()) {
+        // Body units shared by every detector
+        this.bodyScale = bodyScale;
+        
+        // Personal calibration profile, also applied to detectors registered later
+        this.profile = null;
+        this.leftHanded = false;
+        
+        // Every enabled detector runs on every frame; arbitrate() decides what gets reported
+        this.detectors = [];
+        
+        const builtIn = [
+            new BalestraLungeDetector(),
+            new FlungeDetector(),
+            new LungeDetector(),
+            new AdvanceDetector(),
+            new RetreatDetector(),
+            new ParryRiposteDetector()
+        ];
+        builtIn.forEach(detector => this.registerDetector(detector));
+        
+        this.thresholds = {
+            ADVANCE_LUNGE_MAX_GAP: 400,  // Advance end to lunge start
+            ADVANCE_LUNGE_SMOOTH_GAP: 250,
+            SAME_MOVEMENT_OVERLAP: 0.5,  // Share of the shorter span two results must overlap to be one movement
+            REPORTED_SPAN_MEMORY: 2000   // How long reported spans are kept for overlap checks
+        };
+        
+        // Actions allowed to overlap the one before them (parts of a compound action)
+        this.followUps = {
+            [SaberAction.ADVANCE]: [SaberAction.LUNGE]
+        };
+        
+        // Advance held back in case a lunge follows it
+        this.pendingAdvance = null;
+        this.pendingResults = [];
+        this.reportedSpans = [];
+        // Results waiting to see whether a bigger action swallows them
+        this.deferred = [];
+    }
+    
+    /**
+     * Add a detector at runtime. Its display name is published through
+     * ActionDisplayNames so the UI shows the new action.
+     */
+    registerDetector(detector) {
+        if (!(detector instanceof BaseDetector)) {
+            throw new Error('Detector must extend BaseDetector');
+        }
+        
+        const action = detector.action;
+        if (typeof action !== 'string' || action === '') {
+            throw new Error('Detector must have an action id');
+        }
+        if (this.getDetector(action)) {
+            throw new Error(`Detector already registered: ${action}`);
+        }
+        
+        const displayName = detector.displayName || ActionDisplayNames[action];
+        if (!displayName) {
+            throw new Error(`Detector needs a display name: ${action}`);
+        }
+        
+        ActionDisplayNames[action] = displayName;
+        detector.bodyScale = this.bodyScale;
+        detector.applyProfile(this.profile);
+        detector.leftHanded = this.leftHanded;
+        this.detectors.push(detector);
+        
+        return detector;
+    }
+    
+    /**
+     * Remove a detector. Display names of plugin actions go with it.
+     */
+    unregisterDetector(action) {
+        const detector = this.getDetector(action);
+        if (!detector) return false;
+        
+        detector.reset();
+        this.detectors = this.detectors.filter(d => d !== detector);
+        
+        if (!Object.values(SaberAction).includes(action)) {
+            delete ActionDisplayNames[action];
+        }
+        
+        return true;
+    }
+    
+    enableDetector(action) {
+        return this.setDetectorEnabled(action, true);
+    }
+    
+    disableDetector(action) {
+        return this.setDetectorEnabled(action, false);
+    }
+    
+    setDetectorEnabled(action, enabled) {
+        const detector = this.getDetector(action);
+        if (!detector) return false;
+        
+        // A disabled detector drops whatever it was tracking
+        if (!enabled) detector.reset();
+        detector.enabled = enabled;
+        
+        return true;
+    }
+    
+    getDetector(action) {
+        return this.detectors.find(detector => detector.action === action) || null;
+    }
+    
+    /**
+     * Set which hand holds the weapon. Detectors drop what they were tracking
+     * since it was measured on the other arm and leg.
+     */
+    setLeftHanded(leftHanded) {
+        if (leftHanded === this.leftHanded) return;
+        
+        this.leftHanded = leftHanded;
+        this.detectors.forEach(detector => {
+            detector.leftHanded = leftHanded;
+        });
+        this.resetAll();
+    }
+    
+    /**
+     * Pass a personal calibration profile to every detector (null = defaults)
+     */
+    applyProfile(profile) {
+        this.profile = profile;
+        this.detectors.forEach(detector => detector.applyProfile(profile));
+    }
+    
+    /**
+     * Footwork step currently under way (SaberAction.ADVANCE or RETREAT),
+     * null between steps
+     */
+    getActiveFootwork() {
+        const stepping = this.detectors.find(detector =>
+            detector.enabled && detector instanceof StepDetector && detector.isInProgress()
+        );
+        return stepping ? stepping.action : null;
+    }
+    
+    detect(frame, history) {
+        const now = frame.timestamp;
+        this.bodyScale.update(frame.landmarks, now);
+        
+        const results = this.arbitrate(this.runDetectors(frame, history), now);
+        
+        if (results.length === 0) {
+            this.pendingResults.push(...this.combineAdvanceLunge(null, now));
+        }
+        for (const result of results) {
+            this.pendingResults.push(...this.combineAdvanceLunge(result, now));
+        }
+        
+        return this.pendingResults.shift() || null;
+    }
+    
+    /**
+     * Run every detector on the frame and collect the results that completed
+     */
+    runDetectors(frame, history) {
+        const candidates = [];
+        for (const detector of this.detectors) {
+            if (!detector.enabled) continue;
+            
+            detector.frameTime = frame.timestamp;
+            const result = detector.detect(frame, history);
+            if (!result) continue;
+            
+            // Results built without completeAction() are scored from their level
+            if (result.score === undefined) {
+                result.score = qualityToScore(result.quality);
+                result.breakdown = [];
+            }
+            candidates.push({ detector, result });
+        }
+        return candidates;
+    }
+    
+    /**
+     * Pick what to report from the results completed this frame, so one
+     * physical movement is only ever counted once. Each reported result
+     * resets the detectors that were tracking the same movement.
+     */
+    arbitrate(candidates, now) {
+        this.reportedSpans = this.reportedSpans.filter(
+            span => now - span.endTime <= this.thresholds.REPORTED_SPAN_MEMORY
+        );
+        
+        let remaining = [...this.releaseDeferred(candidates), ...candidates].filter(({ detector, result }) => {
+            if (this.overlapsReported(result)) return false;
+            
+            // Part of a bigger action still in progress: drop it once that action
+            // is certain, hold it until then
+            const container = this.findContainer(detector, result);
+            if (!container) return true;
+            if (!container.isCommitted()) {
+                this.deferred.push({ detector, result, container, containerStartTime: container.actionStartTime });
+            }
+            return false;
+        });
+        
+        // A compound action wins over the plain action it contains
+        remaining = remaining.filter(({ result }) => !remaining.some(other =>
+            other.detector.supersedes.includes(result.action) && this.isSameMovement(other.result, result)
+        ));
+        
+        const winners = [];
+        while (remaining.length > 0) {
+            const best = remaining.reduce((a, b) => this.compareResults(b.result, a.result) > 0 ? b : a);
+            
+            winners.push(best.result);
+            this.reportedSpans.push(best.result);
+            this.resetOverlapping(best);
+            
+            remaining = remaining.filter(c => c !== best && !this.isSameMovement(c.result, best.result));
+        }
+        
+        return winners;
+    }
+    
+    /**
+     * Higher confidence wins; on a tie the longer span explains more of the movement
+     */
+    compareResults(a, b) {
+        if (a.confidence !== b.confidence) return a.confidence - b.confidence;
+        return a.duration - b.duration;
+    }
+    
+    /**
+     * The detector tracking a bigger action this result is part of, e.g. the
+     * lunge whose front-foot step was read as an advance
+     */
+    findContainer(source, result) {
+        return this.detectors.find(detector =>
+            detector !== source &&
+            detector.isInProgress() &&
+            detector.supersedes.includes(result.action) &&
+            detector.actionStartTime <= result.startTime
+        ) || null;
+    }
+    
+    /**
+     * Drop deferred results whose container committed, and hand back the
+     * ones whose container gave up
+     */
+    releaseDeferred(candidates) {
+        const released = [];
+        
+        this.deferred = this.deferred.filter(entry => {
+            const { container } = entry;
+            
+            if (container.isCommitted() || candidates.some(c => c.detector === container)) {
+                return false;
+            }
+            if (container.isInProgress() && container.actionStartTime === entry.containerStartTime) {
+                return true;
+            }
+            
+            released.push({ detector: entry.detector, result: entry.result });
+            return false;
+        });
+        
+        return released;
+    }
+    
+    overlapsReported(result) {
+        return this.reportedSpans.some(span =>
+            !(this.followUps[span.action] || []).includes(result.action) &&
+            this.isSameMovement(span, result)
+        );
+    }
+    
+    isSameMovement(a, b) {
+        const overlap = Math.min(a.endTime, b.endTime) - Math.max(a.startTime, b.startTime);
+        const shorter = Math.max(Math.min(a.endTime - a.startTime, b.endTime - b.startTime), 1);
+        return overlap / shorter >= this.thresholds.SAME_MOVEMENT_OVERLAP;
+    }
+    
+    /**
+     * Reset detectors that started tracking during the reported action,
+     * except the ones allowed to follow it
+     */
+    resetOverlapping(winner) {
+        const followUps = this.followUps[winner.result.action] || [];
+        
+        for (const detector of this.detectors) {
+            if (detector !== winner.detector &&
+                detector.isInProgress() &&
+                detector.actionStartTime >= winner.result.startTime &&
+                !followUps.includes(detector.action)) {
+                detector.reset();
+            }
+        }
+    }
+    
+    /**
+     * Merge an advance and the lunge that follows it into one ADVANCE_LUNGE.
+     * Returns the results ready to be reported this frame.
+     */
+    combineAdvanceLunge(result, now) {
+        const ready = [];
+        const pending = this.pendingAdvance;
+        
+        if (pending && !result) {
+            // Keep waiting while a lunge that started in time is still in progress or being arbitrated
+            const lungeDetector = this.getDetector(SaberAction.LUNGE);
+            const lungeInProgress = lungeDetector !== null && lungeDetector.isInProgress() &&
+                lungeDetector.actionStartTime - pending.endTime <= this.thresholds.ADVANCE_LUNGE_MAX_GAP;
+            const lungeDeferred = this.deferred.some(entry => entry.result.action === SaberAction.LUNGE);
+            
+            if (!lungeInProgress && !lungeDeferred && now - pending.endTime > this.thresholds.ADVANCE_LUNGE_MAX_GAP) {
+                ready.push(pending);
+                this.pendingAdvance = null;
+            }
+            return ready;
+        }
+        
+        if (!result) return ready;
+        
+        if (result.action === SaberAction.ADVANCE) {
+            if (pending) ready.push(pending);
+            this.pendingAdvance = result;
+            return ready;
+        }
+        
+        if (result.action === SaberAction.LUNGE && pending) {
+            this.pendingAdvance = null;
+            
+            if (result.startTime - pending.endTime <= this.thresholds.ADVANCE_LUNGE_MAX_GAP) {
+                ready.push(this.buildAdvanceLunge(pending, result));
+                return ready;
+            }
+            ready.push(pending);
+        } else if (pending) {
+            ready.push(pending);
+            this.pendingAdvance = null;
+        }
+        
+        ready.push(result);
+        return ready;
+    }
+    
+    buildAdvanceLunge(advance, lunge) {
+        const gap = lunge.startTime - advance.endTime;
+        const isSmooth = gap <= this.thresholds.ADVANCE_LUNGE_SMOOTH_GAP;
+        
+        // The parts' own scores, the lunge counting most, plus no pause in between
+        const { score, breakdown } = scoreCriteria([
+            { id: 'advance', label: '前进步', weight: 25, credit: advance.score / 100 },
+            { id: 'flow', label: '动作连贯', weight: 10, credit: rampCredit(gap, this.thresholds.ADVANCE_LUNGE_MAX_GAP, this.thresholds.ADVANCE_LUNGE_SMOOTH_GAP) },
+            { id: 'lunge', label: '弓步', weight: 65, credit: lunge.score / 100 }
+        ]);
+        const quality = scoreToQuality(score);
+        
+        let feedback = '完美前进弓步！';
+        if (quality !== Quality.PERFECT) {
+            const issues = [];
+            if (!isSmooth) issues.push('前进步和弓步连起来');
+            if (advance.quality !== Quality.PERFECT && advance.quality !== Quality.GOOD) {
+                issues.push(advance.feedback);
+            }
+            if (lunge.quality !== Quality.PERFECT && lunge.feedback !== '不错！') {
+                issues.push(lunge.feedback);
+            }
+            feedback = issues.length > 0 ? issues.join('，') : '不错！';
+        }
+        
+        return {
+            action: SaberAction.ADVANCE_LUNGE,
+            quality: quality,
+            score: score,
+            breakdown: breakdown,
+            feedback: feedback,
+            confidence: (advance.confidence + lunge.confidence) / 2,
+            startTime: advance.startTime,
+            endTime: lunge.endTime,
+            duration: lunge.endTime - advance.startTime,
+            phases: [...(advance.phases || []), ...(lunge.phases || [])]
+        };
+    }
+    
     resetAll() {
         for (const detector of this.detectors) {
             detector.reset();
         }
+        this.pendingAdvance = null;
+        this.pendingResults = [];
+        this.reportedSpans = [];
+        this.deferred = [];
     }
 }
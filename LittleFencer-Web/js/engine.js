@@ -4,8 +4,14 @@
  */
 
 import { PoseLandmark } from './pose.js';
-import { calculateAngle, calculateDistance, midpoint, isFacingRight, calculateVelocity } from './utils.js';
-import { ActionDetectorManager } from './detectors/index.js';
+import { calculateAngle, calculateAngle3D, calculateDistance, calculateDistance3D, midpoint, detectFacingRight, calculateVelocity, clamp, hasWorldLandmarks, toSquarePixels } from './utils.js';
+import { ActionDetectorManager, SaberAction } from './detectors/index.js';
+import { BodyScale } from './scale.js';
+import { CalibrationStep } from './calibration.js';
+import { Handedness } from './profiles.js';
+import { rampCredit, bandCredit, scoreCriteria, scoreToQuality } from './scoring.js';
+import { FormCorrector } from './corrections.js';
+import { MetricTimeline, buildRepRecord } from './reps.js';
 
 // Fencing states
 export const FencingState = {
@@ -17,6 +23,15 @@ export const FencingState = {
     RECOVERY: 'RECOVERY'
 };
 
+// State entered while the detectors track a step of this footwork
+const FootworkStates = {
+    [SaberAction.ADVANCE]: FencingState.ADVANCING,
+    [SaberAction.RETREAT]: FencingState.RETREATING
+};
+
+// States in which the fencer should hold their En Garde shape
+const GuardStates = [FencingState.EN_GARDE, FencingState.ADVANCING, FencingState.RETREATING];
+
 // Action quality levels
 export const ActionQuality = {
     PERFECT: 'PERFECT',
@@ -37,15 +52,23 @@ class PoseFrame {
 }
 
 export class FencingStateEngine {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Function} options.clock Returns the current time in ms, for frames
+     *     given without a timestamp (default Date.now)
+     */
+    constructor({ clock = () => Date.now() } = {}) {
+        this.clock = clock;
+        
         // State
         this.currentState = FencingState.IDLE;
         this.previousState = null;
-        this.stateStartTime = Date.now();
+        this.stateStartTime = null;  // Set by the first frame
+        this.currentTime = null;     // Timestamp of the frame being processed
         
         // Pose history
         this.poseHistory = [];
-        this.maxHistorySize = 30; // ~1 second at 30fps
+        this.historyWindowMs = 1000; // Kept by time so detectors see the same span at any frame rate
         
         // Metrics
         this.metrics = {
@@ -59,41 +82,75 @@ export class FencingStateEngine {
         
         // Tracking
         this.facingRight = true;
-        this.frontLegSide = 'right';
+        this.leftHanded = false;
+        this.frontLegSide = 'right';        // Weapon-hand side
+        this.stanceFrontLegSide = 'right';  // Foot actually in front
+        this.wrongStanceSince = null;
+        this.lastStanceWarningTime = -Infinity;  // Frame time may start at 0, e.g. in a video file
         this.lastFrameTime = 0;
         this.noPoseFrames = 0;
+        this.angleMode = null;     // '3d' from world landmarks, '2d' from screen coordinates
+        this.frameAspect = 1;      // Width / height of the frames landmarks come from
+        
+        // Body units for every distance threshold, shared with the detectors
+        this.bodyScale = new BodyScale();
         
         // Action detection
-        this.detectorManager = new ActionDetectorManager();
+        this.detectorManager = new ActionDetectorManager(this.bodyScale);
         this.lastAction = null;
-        this.lastActionTime = 0;
+        this.lastActionTime = -Infinity;
+        
+        // Per-frame metrics, cut into rep records as actions complete
+        this.timeline = new MetricTimeline();
+        
+        // Live form corrections (rules adjustable from settings)
+        this.corrections = new FormCorrector();
         
         // Callbacks
         this.onStateChange = null;
         this.onActionDetected = null;
         this.onFeedback = null;
+        this.onAngleModeChange = null;
         
         // Thresholds
         this.thresholds = {
             enGardeKneeMin: 100,
             enGardeKneeMax: 150,
+            enGardeStanceMin: 0.8,   // Ankle spread, torso lengths
             lungeKneeMin: 70,
             lungeKneeMax: 110,
+            lungeStanceMin: 1.6,
             backKneeMinStraight: 155,
             torsoMaxLean: 25,
             minArmExtension: 0.3,
             stateTransitionMs: 200,
-            noPoseResetFrames: 10
+            minActionGapMs: 300,
+            noPoseResetFrames: 10,
+            wrongStanceMs: 1500,        // Other foot in front this long before warning
+            stanceWarningCooldownMs: 8000
         };
+        this.defaultThresholds = { ...this.thresholds };
+        
+        // Personal calibration
+        this.profile = null;       // Threshold profile in use (null = defaults)
+        this.calibration = null;   // CalibrationSession while one is running
     }
     
     /**
-     * Process pose landmarks
+     * Process pose landmarks. All timing comes from the frame timestamp, so
+     * the same frames always give the same states and actions.
      */
-    processPose(landmarks, worldLandmarks) {
-        const now = Date.now();
+    processPose(landmarks, worldLandmarks, timestamp = this.clock()) {
+        // Everything below, body units included, measures x and y alike
+        landmarks = toSquarePixels(landmarks, this.frameAspect);
+        
+        const now = timestamp;
         const deltaTime = now - this.lastFrameTime;
         this.lastFrameTime = now;
+        this.currentTime = now;
+        if (this.stateStartTime === null) {
+            this.stateStartTime = now;
+        }
         
         // Reset no-pose counter
         this.noPoseFrames = 0;
@@ -101,15 +158,24 @@ export class FencingStateEngine {
         // Add to history
         const frame = new PoseFrame(landmarks, worldLandmarks, now);
         this.poseHistory.push(frame);
-        if (this.poseHistory.length > this.maxHistorySize) {
+        while (this.poseHistory.length > 2 && now - this.poseHistory[0].timestamp > this.historyWindowMs) {
             this.poseHistory.shift();
         }
         
+        // Determine facing direction
+        this.bodyScale.update(landmarks, now);
+        this.updateFacingDirection(landmarks);
+        
         // Calculate metrics
         this.calculateMetrics(landmarks, worldLandmarks);
+        this.timeline.add(now, this.metrics);
+        this.checkStance(now);
         
-        // Determine facing direction
-        this.updateFacingDirection(landmarks);
+        // Calibration only measures: no actions or corrections until it's done
+        if (this.calibration) {
+            this.updateCalibration(now);
+            return;
+        }
         
         // Run action detectors
         this.runActionDetectors(frame);
@@ -118,13 +184,14 @@ export class FencingStateEngine {
         this.updateState(now);
         
         // Check for form corrections
-        this.checkFormCorrections();
+        this.checkFormCorrections(now);
     }
     
     /**
      * Handle no pose detected
      */
-    handleNoPose() {
+    handleNoPose(timestamp = this.clock()) {
+        this.currentTime = timestamp;
         this.noPoseFrames++;
         
         if (this.noPoseFrames >= this.thresholds.noPoseResetFrames) {
@@ -138,89 +205,186 @@ export class FencingStateEngine {
     calculateMetrics(landmarks, worldLandmarks) {
         const lm = landmarks;
         
-        // Determine front/back leg
+        // Angles come from the 3D world landmarks when MediaPipe provides them;
+        // screen coordinates are only accurate when the camera is side-on
+        const use3D = hasWorldLandmarks(worldLandmarks);
+        this.setAngleMode(use3D ? '3d' : '2d');
+        
+        const joints = use3D ? worldLandmarks : lm;
+        const angle = use3D ? calculateAngle3D : calculateAngle;
+        const distance = use3D ? calculateDistance3D : calculateDistance;
+        
+        // Front leg is on the weapon-hand side; note which foot is really in front
         const leftAnkle = lm[PoseLandmark.LEFT_ANKLE];
         const rightAnkle = lm[PoseLandmark.RIGHT_ANKLE];
+        const leftFootAhead = this.facingRight ? leftAnkle.x > rightAnkle.x : leftAnkle.x < rightAnkle.x;
         
-        if (this.facingRight) {
-            this.frontLegSide = leftAnkle.x > rightAnkle.x ? 'left' : 'right';
-        } else {
-            this.frontLegSide = leftAnkle.x < rightAnkle.x ? 'left' : 'right';
-        }
+        this.frontLegSide = this.leftHanded ? 'left' : 'right';
+        this.stanceFrontLegSide = leftFootAhead ? 'left' : 'right';
         
         // Get leg landmarks based on front leg
-        const frontHip = lm[this.frontLegSide === 'left' ? PoseLandmark.LEFT_HIP : PoseLandmark.RIGHT_HIP];
-        const frontKnee = lm[this.frontLegSide === 'left' ? PoseLandmark.LEFT_KNEE : PoseLandmark.RIGHT_KNEE];
-        const frontAnkle = lm[this.frontLegSide === 'left' ? PoseLandmark.LEFT_ANKLE : PoseLandmark.RIGHT_ANKLE];
+        const frontHip = joints[this.frontLegSide === 'left' ? PoseLandmark.LEFT_HIP : PoseLandmark.RIGHT_HIP];
+        const frontKnee = joints[this.frontLegSide === 'left' ? PoseLandmark.LEFT_KNEE : PoseLandmark.RIGHT_KNEE];
+        const frontAnkle = joints[this.frontLegSide === 'left' ? PoseLandmark.LEFT_ANKLE : PoseLandmark.RIGHT_ANKLE];
         
-        const backHip = lm[this.frontLegSide === 'left' ? PoseLandmark.RIGHT_HIP : PoseLandmark.LEFT_HIP];
-        const backKnee = lm[this.frontLegSide === 'left' ? PoseLandmark.RIGHT_KNEE : PoseLandmark.LEFT_KNEE];
-        const backAnkle = lm[this.frontLegSide === 'left' ? PoseLandmark.RIGHT_ANKLE : PoseLandmark.LEFT_ANKLE];
+        const backHip = joints[this.frontLegSide === 'left' ? PoseLandmark.RIGHT_HIP : PoseLandmark.LEFT_HIP];
+        const backKnee = joints[this.frontLegSide === 'left' ? PoseLandmark.RIGHT_KNEE : PoseLandmark.LEFT_KNEE];
+        const backAnkle = joints[this.frontLegSide === 'left' ? PoseLandmark.RIGHT_ANKLE : PoseLandmark.LEFT_ANKLE];
         
         // Calculate knee angles
-        this.metrics.frontKneeAngle = calculateAngle(frontHip, frontKnee, frontAnkle);
-        this.metrics.backKneeAngle = calculateAngle(backHip, backKnee, backAnkle);
+        this.metrics.frontKneeAngle = angle(frontHip, frontKnee, frontAnkle);
+        this.metrics.backKneeAngle = angle(backHip, backKnee, backAnkle);
         
         // Calculate torso angle
-        const leftShoulder = lm[PoseLandmark.LEFT_SHOULDER];
-        const rightShoulder = lm[PoseLandmark.RIGHT_SHOULDER];
-        const leftHip = lm[PoseLandmark.LEFT_HIP];
-        const rightHip = lm[PoseLandmark.RIGHT_HIP];
+        const shoulderMid = midpoint(joints[PoseLandmark.LEFT_SHOULDER], joints[PoseLandmark.RIGHT_SHOULDER]);
+        const hipMid = midpoint(joints[PoseLandmark.LEFT_HIP], joints[PoseLandmark.RIGHT_HIP]);
         
-        const shoulderMid = midpoint(leftShoulder, rightShoulder);
-        const hipMid = midpoint(leftHip, rightHip);
-        
-        // Torso lean angle (0 = vertical)
-        const dx = shoulderMid.x - hipMid.x;
-        const dy = shoulderMid.y - hipMid.y;
-        this.metrics.torsoAngle = Math.abs(Math.atan2(dx, -dy) * 180 / Math.PI);
+        // Torso lean angle (0 = vertical); y points down in both coordinate systems
+        const torsoLength = distance(hipMid, shoulderMid);
+        const rise = hipMid.y - shoulderMid.y;
+        this.metrics.torsoAngle = torsoLength > 0 ? Math.acos(clamp(rise / torsoLength, -1, 1)) * 180 / Math.PI : 0;
         
         // Calculate arm extension (weapon arm)
-        const weaponShoulder = lm[this.facingRight ? PoseLandmark.RIGHT_SHOULDER : PoseLandmark.LEFT_SHOULDER];
-        const weaponElbow = lm[this.facingRight ? PoseLandmark.RIGHT_ELBOW : PoseLandmark.LEFT_ELBOW];
-        const weaponWrist = lm[this.facingRight ? PoseLandmark.RIGHT_WRIST : PoseLandmark.LEFT_WRIST];
+        const weaponShoulder = joints[this.leftHanded ? PoseLandmark.LEFT_SHOULDER : PoseLandmark.RIGHT_SHOULDER];
+        const weaponElbow = joints[this.leftHanded ? PoseLandmark.LEFT_ELBOW : PoseLandmark.RIGHT_ELBOW];
+        const weaponWrist = joints[this.leftHanded ? PoseLandmark.LEFT_WRIST : PoseLandmark.RIGHT_WRIST];
         
-        const shoulderToWrist = calculateDistance(weaponShoulder, weaponWrist);
-        const shoulderToElbow = calculateDistance(weaponShoulder, weaponElbow);
-        const elbowToWrist = calculateDistance(weaponElbow, weaponWrist);
+        const shoulderToWrist = distance(weaponShoulder, weaponWrist);
+        const shoulderToElbow = distance(weaponShoulder, weaponElbow);
+        const elbowToWrist = distance(weaponElbow, weaponWrist);
         const maxArmLength = shoulderToElbow + elbowToWrist;
         
         this.metrics.armExtension = maxArmLength > 0 ? shoulderToWrist / maxArmLength : 0;
         
-        // Calculate stance width relative to hip width
-        const hipWidth = calculateDistance(leftHip, rightHip);
+        // Stance width: ankle spread in body units
         const ankleWidth = calculateDistance(leftAnkle, rightAnkle);
-        this.metrics.stanceWidth = hipWidth > 0 ? ankleWidth / hipWidth : 0;
+        this.metrics.stanceWidth = this.bodyScale.toBody(ankleWidth);
         
         // Hip center Y position (for detecting vertical movement)
-        this.metrics.hipCenterY = hipMid.y;
+        this.metrics.hipCenterY = midpoint(lm[PoseLandmark.LEFT_HIP], lm[PoseLandmark.RIGHT_HIP]).y;
     }
     
     /**
-     * Update facing direction
+     * Record which coordinates the angles are measured in
+     */
+    setAngleMode(mode) {
+        if (mode === this.angleMode) return;
+        
+        this.angleMode = mode;
+        console.log(`[Engine] Angle mode: ${mode.toUpperCase()}`);
+        
+        if (this.onAngleModeChange) {
+            this.onAngleModeChange(mode);
+        }
+    }
+    
+    /**
+     * Use a personal threshold profile, or the defaults when null
+     */
+    applyProfile(profile) {
+        this.profile = profile;
+        this.thresholds = { ...this.defaultThresholds, ...(profile ? profile.thresholds : {}) };
+        this.detectorManager.applyProfile(profile);
+        
+        console.log(`[Engine] Thresholds: ${profile ? 'personal profile' : 'defaults'}`);
+    }
+    
+    /**
+     * Start feeding frames to a calibration session instead of the detectors
+     */
+    beginCalibration(session) {
+        this.calibration = session;
+        this.detectorManager.resetAll();
+        this.transitionTo(FencingState.IDLE);
+    }
+    
+    cancelCalibration() {
+        this.calibration = null;
+    }
+    
+    updateCalibration(now) {
+        this.calibration.addFrame(this.metrics, now);
+        
+        if (this.calibration.step === CalibrationStep.DONE) {
+            this.applyProfile(this.calibration.profile);
+            this.calibration = null;
+        }
+    }
+    
+    /**
+     * Update facing direction: from the head when it's in profile, otherwise
+     * from the shoulders
      */
     updateFacingDirection(landmarks) {
-        const leftShoulder = landmarks[PoseLandmark.LEFT_SHOULDER];
-        const rightShoulder = landmarks[PoseLandmark.RIGHT_SHOULDER];
-        this.facingRight = isFacingRight(leftShoulder, rightShoulder);
+        this.facingRight = detectFacingRight(landmarks, this.bodyScale.unit, this.leftHanded);
+    }
+    
+    /**
+     * Set the width / height of the frames, e.g. 9/16 for a portrait phone camera
+     */
+    setFrameAspect(aspect) {
+        this.frameAspect = aspect > 0 && Number.isFinite(aspect) ? aspect : 1;
+    }
+    
+    /**
+     * Set which hand holds the weapon; the weapon arm and front leg follow
+     */
+    setHandedness(handedness) {
+        this.leftHanded = handedness === Handedness.LEFT;
+        this.wrongStanceSince = null;
+        this.detectorManager.setLeftHanded(this.leftHanded);
+        
+        console.log(`[Engine] Handedness: ${this.leftHanded ? 'left' : 'right'}`);
     }
     
     /**
-     * Run action detectors
+     * Warn when the fencer holds a stance with the other foot in front than
+     * their hand calls for. Brief swaps such as a crossover are ignored.
+     */
+    checkStance(now) {
+        const wrongStance = this.stanceFrontLegSide !== this.frontLegSide &&
+                            this.metrics.stanceWidth >= this.thresholds.enGardeStanceMin;
+        
+        if (!wrongStance) {
+            this.wrongStanceSince = null;
+            return;
+        }
+        
+        if (this.wrongStanceSince === null) {
+            this.wrongStanceSince = now;
+        }
+        
+        if (now - this.wrongStanceSince < this.thresholds.wrongStanceMs ||
+            now - this.lastStanceWarningTime < this.thresholds.stanceWarningCooldownMs) {
+            return;
+        }
+        
+        this.lastStanceWarningTime = now;
+        
+        const feedback = this.leftHanded ? '站姿反了！左手持剑应左脚在前' : '站姿反了！右手持剑应右脚在前';
+        console.log(`[Engine] Wrong stance for ${this.leftHanded ? 'left' : 'right'}-hander`);
+        
+        if (this.onFeedback) {
+            this.onFeedback(feedback, 'error');
+        }
+    }
+    
+    /**
+     * Run action detectors; each new action is reported with its rep record
      */
     runActionDetectors(frame) {
         const result = this.detectorManager.detect(frame, this.poseHistory);
         
         if (result && result.action) {
-            const now = Date.now();
-            
-            // Debounce same action
-            if (result.action !== this.lastAction || now - this.lastActionTime > 2000) {
+            // Debounce same action: a repeat must start a little after the previous one ended
+            if (result.action !== this.lastAction || result.startTime - this.lastActionTime > this.thresholds.minActionGapMs) {
                 this.lastAction = result.action;
-                this.lastActionTime = now;
+                this.lastActionTime = result.endTime;
+                
+                const rep = buildRepRecord(result, this.timeline.between(result.startTime, result.endTime));
                 
                 if (this.onActionDetected) {
-                    this.onActionDetected(result.action, result.quality, result.feedback);
+                    this.onActionDetected(rep.action, rep.quality, rep.feedback, rep);
                 }
             }
         }
@@ -231,6 +395,7 @@ export class FencingStateEngine {
      */
     updateState(now) {
         const timeSinceStateChange = now - this.stateStartTime;
+        const footworkState = FootworkStates[this.detectorManager.getActiveFootwork()] || null;
         
         // State transitions
         switch (this.currentState) {
@@ -246,12 +411,29 @@ export class FencingStateEngine {
                 if (this.isLungePosition()) {
                     this.transitionTo(FencingState.LUNGING);
                 }
+                // Check for a step starting
+                else if (footworkState) {
+                    this.transitionTo(footworkState);
+                }
                 // Check if lost En Garde
                 else if (!this.isEnGardePosition() && timeSinceStateChange > 500) {
                     this.transitionTo(FencingState.IDLE);
                 }
                 break;
                 
+            case FencingState.ADVANCING:
+            case FencingState.RETREATING:
+                // A step can run straight into a lunge
+                if (this.isLungePosition()) {
+                    this.transitionTo(FencingState.LUNGING);
+                }
+                // Step landed or given up: back to En Garde, which drops to
+                // IDLE on its own if the guard was lost
+                else if (footworkState !== this.currentState) {
+                    this.transitionTo(footworkState || FencingState.EN_GARDE);
+                }
+                break;
+                
             case FencingState.LUNGING:
                 // Check for recovery
                 if (!this.isLungePosition() && timeSinceStateChange > 300) {
@@ -283,7 +465,7 @@ export class FencingStateEngine {
                            frontKneeAngle <= this.thresholds.enGardeKneeMax;
         
         // Check stance width (should be wider than standing)
-        const stanceOk = stanceWidth >= 1.2;
+        const stanceOk = stanceWidth >= this.thresholds.enGardeStanceMin;
         
         // Check torso relatively upright
         const torsoOk = torsoAngle <= this.thresholds.torsoMaxLean;
@@ -305,7 +487,7 @@ export class FencingStateEngine {
         const backKneeOk = backKneeAngle >= this.thresholds.backKneeMinStraight;
         
         // Wide stance
-        const stanceOk = stanceWidth >= 1.8;
+        const stanceOk = stanceWidth >= this.thresholds.lungeStanceMin;
         
         // Arm extended
         const armOk = armExtension >= this.thresholds.minArmExtension;
@@ -321,7 +503,7 @@ export class FencingStateEngine {
         
         this.previousState = this.currentState;
         this.currentState = newState;
-        this.stateStartTime = Date.now();
+        this.stateStartTime = this.currentTime ?? this.clock();
         
         console.log(`[Engine] State: ${this.previousState} → ${newState}`);
         
@@ -336,113 +518,52 @@ export class FencingStateEngine {
     /**
      * Check form and provide correction feedback
      */
-    checkFormCorrections() {
-        if (this.currentState === FencingState.IDLE) return;
-        
-        const { frontKneeAngle, backKneeAngle, torsoAngle, armExtension } = this.metrics;
-        const now = Date.now();
-        
-        // Throttle feedback
-        if (!this.lastFeedbackTime) this.lastFeedbackTime = 0;
-        if (now - this.lastFeedbackTime < 2000) return;
-        
-        let feedback = null;
-        let type = 'error';
+    checkFormCorrections(now) {
+        const correction = this.corrections.check(this.currentState, this.metrics, this.thresholds, now);
         
-        // Check back leg
-        if (this.currentState === FencingState.LUNGING) {
-            if (backKneeAngle < this.thresholds.backKneeMinStraight - 10) {
-                feedback = '后腿伸直！';
-            }
-        }
-        
-        // Check torso
-        if (torsoAngle > this.thresholds.torsoMaxLean + 10) {
-            feedback = '保持身体直立！';
-        }
-        
-        // Check front knee in En Garde
-        if (this.currentState === FencingState.EN_GARDE) {
-            if (frontKneeAngle > this.thresholds.enGardeKneeMax + 10) {
-                feedback = '膝盖再弯一点！';
-            } else if (frontKneeAngle < this.thresholds.enGardeKneeMin - 10) {
-                feedback = '膝盖弯曲过度！';
-            }
-        }
-        
-        // Check arm extension in lunge
-        if (this.currentState === FencingState.LUNGING) {
-            if (armExtension < this.thresholds.minArmExtension - 0.1) {
-                feedback = '手臂先动！伸直手臂！';
-            }
-        }
-        
-        if (feedback && this.onFeedback) {
-            this.lastFeedbackTime = now;
-            this.onFeedback(feedback, type);
+        if (correction && this.onFeedback) {
+            this.onFeedback(correction.message, correction.severity);
         }
     }
     
     /**
-     * Get current quality assessment
+     * Live 0-100 form score for the current state, with its breakdown.
+     * null when the state has nothing to score.
      */
-    getCurrentQuality() {
+    getCurrentScore() {
         const { frontKneeAngle, backKneeAngle, torsoAngle, armExtension } = this.metrics;
+        const t = this.thresholds;
         
-        let score = 0;
-        let total = 0;
+        const torso = { id: 'torso', label: '身体直立', weight: 1, credit: rampCredit(torsoAngle, t.torsoMaxLean + 15, t.torsoMaxLean) };
         
-        // Evaluate based on current state
-        if (this.currentState === FencingState.EN_GARDE) {
-            // Front knee
-            if (frontKneeAngle >= this.thresholds.enGardeKneeMin && 
-                frontKneeAngle <= this.thresholds.enGardeKneeMax) {
-                score += 1;
-            }
-            total += 1;
-            
-            // Torso
-            if (torsoAngle <= this.thresholds.torsoMaxLean) {
-                score += 1;
-            }
-            total += 1;
+        // Evaluate based on current state; steps keep the En Garde shape
+        if (GuardStates.includes(this.currentState)) {
+            return scoreCriteria([
+                { id: 'frontKnee', label: '前膝弯曲', weight: 1, credit: bandCredit(frontKneeAngle, t.enGardeKneeMin, t.enGardeKneeMax, 20) },
+                torso
+            ]);
         }
         
         if (this.currentState === FencingState.LUNGING) {
-            // Front knee
-            if (frontKneeAngle >= this.thresholds.lungeKneeMin && 
-                frontKneeAngle <= this.thresholds.lungeKneeMax) {
-                score += 1;
-            }
-            total += 1;
-            
-            // Back knee
-            if (backKneeAngle >= this.thresholds.backKneeMinStraight) {
-                score += 1;
-            }
-            total += 1;
-            
-            // Arm extension
-            if (armExtension >= this.thresholds.minArmExtension) {
-                score += 1;
-            }
-            total += 1;
-            
-            // Torso
-            if (torsoAngle <= this.thresholds.torsoMaxLean) {
-                score += 1;
-            }
-            total += 1;
+            return scoreCriteria([
+                { id: 'frontKnee', label: '前膝弯曲', weight: 1, credit: bandCredit(frontKneeAngle, t.lungeKneeMin, t.lungeKneeMax, 20) },
+                { id: 'backKnee', label: '后腿伸直', weight: 1, credit: rampCredit(backKneeAngle, t.backKneeMinStraight - 20, t.backKneeMinStraight) },
+                { id: 'arm', label: '手臂伸直', weight: 1, credit: rampCredit(armExtension, t.minArmExtension - 0.2, t.minArmExtension) },
+                torso
+            ]);
         }
         
-        if (total === 0) return 'neutral';
-        
-        const ratio = score / total;
+        return null;
+    }
+    
+    /**
+     * Get current quality assessment (skeleton colour key)
+     */
+    getCurrentQuality() {
+        const current = this.getCurrentScore();
+        if (!current) return 'neutral';
         
-        if (ratio >= 1.0) return 'perfect';
-        if (ratio >= 0.75) return 'good';
-        if (ratio >= 0.5) return 'acceptable';
-        return 'poor';
+        return scoreToQuality(current.score).toLowerCase();
     }
     
     /**
@@ -451,11 +572,19 @@ export class FencingStateEngine {
     reset() {
         this.currentState = FencingState.IDLE;
         this.previousState = null;
-        this.stateStartTime = Date.now();
+        this.stateStartTime = null;
+        this.currentTime = null;
         this.poseHistory = [];
         this.lastAction = null;
-        this.lastActionTime = 0;
+        this.lastActionTime = -Infinity;
         this.noPoseFrames = 0;
+        this.angleMode = null;
+        this.calibration = null;
+        this.wrongStanceSince = null;
+        this.lastStanceWarningTime = -Infinity;
+        this.corrections.reset();
+        this.timeline.clear();
+        this.bodyScale.reset();
         this.detectorManager.resetAll();
     }
 }
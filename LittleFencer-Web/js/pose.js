@@ -148,18 +148,21 @@ export class PoseDetector {
     }
     
     /**
-     * Process single frame
+     * Process single frame, e.g. from a video file. Not while the live loop runs.
      */
     async processFrame(imageElement) {
         if (!this.pose) return null;
-        
-        return new Promise((resolve) => {
+
+        return new Promise((resolve, reject) => {
             const originalCallback = this.onResults;
             this.onResults = (results) => {
                 this.onResults = originalCallback;
                 resolve(results);
             };
-            this.pose.send({ image: imageElement });
+            this.pose.send({ image: imageElement }).catch((err) => {
+                this.onResults = originalCallback;
+                reject(err);
+            });
         });
     }
 }
@@ -0,0 +1,386 @@
+/**
+ * Pose Tracks
+ * The landmark stream of a recording, kept so old sessions can be re-scored
+ * after detector changes and shared with a coach without the video.
+ *
+ * In IndexedDB a track is a plain object with typed arrays. As a file it is
+ * binary, little-endian:
+ *   0  'LFPT'              magic
+ *   4  uint32              format version
+ *   8  uint32              header length (JSON, space-padded to 8 bytes)
+ *   12 uint32              reserved
+ *   16 header JSON         { fencerId, videoId, createdAt, device, settings, frameCount }
+ *   .. float64[n]          frame timestamps (ms)
+ *   .. float32[n * 33 * 4] landmarks x, y, z, visibility
+ *   .. float32[n * 33 * 4] world landmarks x, y, z, visibility
+ *   .. uint8[n]            flags: 1 = pose found, 2 = world landmarks present
+ * MediaPipe computes in float32, so storing float32 loses nothing.
+ *
+ * A track starts mid-session, with its clip or the clip's pre-roll, and is
+ * replayed by a fresh engine: idle, with no history or body-scale smoothing.
+ * States and actions at the start of a clip can therefore differ from the
+ * live session; actions that begin once the engine has settled match it.
+ */
+
+export const POSE_TRACK_MAGIC = 'LFPT';
+export const POSE_TRACK_VERSION = 1;
+
+export const LANDMARK_COUNT = 33;
+const VALUES_PER_LANDMARK = 4;  // x, y, z, visibility
+const FRAME_VALUES = LANDMARK_COUNT * VALUES_PER_LANDMARK;
+const PREFIX_BYTES = 16;
+const CHUNK_FRAMES = 30;  // Frames per chunk handed to the spool while recording
+
+const FrameFlag = {
+    POSE: 1,
+    WORLD: 2
+};
+
+function packLandmarks(landmarks, target, offset) {
+    for (let i = 0; i < LANDMARK_COUNT; i++) {
+        const point = landmarks[i];
+        const base = offset + i * VALUES_PER_LANDMARK;
+        target[base] = point.x;
+        target[base + 1] = point.y;
+        target[base + 2] = point.z ?? 0;
+        target[base + 3] = point.visibility ?? NaN;  // NaN: not reported
+    }
+}
+
+/**
+ * Pack one frame's landmarks at `offset`
+ * @returns {number} FrameFlag bits
+ */
+function packFrame(landmarks, worldLandmarks, target, worldTarget, offset) {
+    if (!landmarks) return 0;
+    
+    packLandmarks(landmarks, target, offset);
+    if (worldLandmarks && worldLandmarks.length >= LANDMARK_COUNT) {
+        packLandmarks(worldLandmarks, worldTarget, offset);
+        return FrameFlag.POSE | FrameFlag.WORLD;
+    }
+    return FrameFlag.POSE;
+}
+
+function createChunk(size) {
+    return {
+        frameCount: 0,
+        timestamps: new Float64Array(size),
+        landmarks: new Float32Array(size * FRAME_VALUES),
+        worldLandmarks: new Float32Array(size * FRAME_VALUES),
+        flags: new Uint8Array(size)
+    };
+}
+
+function unpackLandmarks(source, offset) {
+    const landmarks = [];
+    for (let i = 0; i < LANDMARK_COUNT; i++) {
+        const base = offset + i * VALUES_PER_LANDMARK;
+        const point = { x: source[base], y: source[base + 1], z: source[base + 2] };
+        if (!Number.isNaN(source[base + 3])) point.visibility = source[base + 3];
+        landmarks.push(point);
+    }
+    return landmarks;
+}
+
+/**
+ * Collects frames while a video is being recorded, in chunks of CHUNK_FRAMES
+ * handed to the clip's spool (see ClipSpool), so a long recording doesn't
+ * grow in memory and its track survives a crash. With bufferMs set it also
+ * keeps the most recent frames, so a track can start as early as a video
+ * clip started from the pre-roll buffer.
+ */
+export class PoseTrackRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.bufferMs = 0;
+        this.info = null;
+        this.spool = null;      // Takes the chunks; without one they're kept in `chunks`
+        this.chunks = [];
+        this.chunk = null;      // Being filled
+        this.frameCount = 0;
+        
+        // Pre-roll buffer, one packed frame per entry
+        this.timestamps = [];
+        this.landmarks = [];
+        this.worldLandmarks = [];
+        this.flags = [];
+    }
+    
+    /**
+     * Keep the last `ms` of frames while not recording (0: keep none)
+     */
+    setBufferMs(ms) {
+        this.bufferMs = ms;
+        if (ms <= 0) {
+            this.dropFramesBefore(Infinity);
+        }
+    }
+    
+    /**
+     * @param {Object} info { fencerId, device, settings } stored with the track;
+     *     settings are what the engine ran with (handedness, profile, correctionRules, frameAspect)
+     * @param {number} startTime Keep buffered frames from this time on (default: none)
+     * @param {Object} spool The video clip's ClipSpool, which the track is written with
+     */
+    start(info = {}, startTime = Infinity, spool = null) {
+        this.info = info;
+        this.spool = spool;
+        this.chunks = [];
+        this.chunk = null;
+        this.frameCount = 0;
+        this.isRecording = true;
+        
+        // The buffered lead-up opens the track
+        this.dropFramesBefore(startTime);
+        for (let i = 0; i < this.timestamps.length; i++) {
+            const index = this.nextFrameIndex();
+            this.chunk.timestamps[index] = this.timestamps[i];
+            this.chunk.landmarks.set(this.landmarks[i], index * FRAME_VALUES);
+            this.chunk.worldLandmarks.set(this.worldLandmarks[i], index * FRAME_VALUES);
+            this.chunk.flags[index] = this.flags[i];
+            this.frameAdded();
+        }
+    }
+    
+    /**
+     * Add one frame; landmarks null when no pose was found
+     */
+    addFrame(timestamp, landmarks, worldLandmarks = null) {
+        // Buffered while recording too: the next clip can start before this one ends
+        if (this.bufferMs > 0) {
+            const frame = new Float32Array(FRAME_VALUES);
+            const world = new Float32Array(FRAME_VALUES);
+            
+            this.timestamps.push(timestamp);
+            this.flags.push(packFrame(landmarks, worldLandmarks, frame, world, 0));
+            this.landmarks.push(frame);
+            this.worldLandmarks.push(world);
+            
+            this.dropFramesBefore(timestamp - this.bufferMs);
+        }
+        
+        if (this.isRecording) {
+            const index = this.nextFrameIndex();
+            const chunk = this.chunk;
+            chunk.timestamps[index] = timestamp;
+            chunk.flags[index] = packFrame(landmarks, worldLandmarks, chunk.landmarks, chunk.worldLandmarks, index * FRAME_VALUES);
+            this.frameAdded();
+        }
+    }
+    
+    /**
+     * Index in the current chunk for the next frame of the track
+     */
+    nextFrameIndex() {
+        if (!this.chunk) {
+            this.chunk = createChunk(CHUNK_FRAMES);
+        }
+        return this.chunk.frameCount++;
+    }
+    
+    frameAdded() {
+        this.frameCount++;
+        if (this.chunk.frameCount === CHUNK_FRAMES) {
+            this.flushChunk();
+        }
+    }
+    
+    /**
+     * Hand the current chunk to the spool, cut to the frames it holds
+     */
+    flushChunk() {
+        const chunk = this.chunk;
+        this.chunk = null;
+        if (!chunk || chunk.frameCount === 0) return;
+        
+        const { frameCount } = chunk;
+        // Copies, as storing a view would store its whole buffer
+        const filled = frameCount === CHUNK_FRAMES ? chunk : {
+            frameCount,
+            timestamps: chunk.timestamps.slice(0, frameCount),
+            landmarks: chunk.landmarks.slice(0, frameCount * FRAME_VALUES),
+            worldLandmarks: chunk.worldLandmarks.slice(0, frameCount * FRAME_VALUES),
+            flags: chunk.flags.slice(0, frameCount)
+        };
+        
+        if (this.spool) {
+            this.spool.addTrackChunk(filled);
+        } else {
+            this.chunks.push(filled);
+        }
+    }
+    
+    dropFramesBefore(time) {
+        let count = 0;
+        while (count < this.timestamps.length && this.timestamps[count] < time) count++;
+        
+        this.timestamps.splice(0, count);
+        this.landmarks.splice(0, count);
+        this.worldLandmarks.splice(0, count);
+        this.flags.splice(0, count);
+    }
+    
+    /**
+     * Finish and return the track, or null if nothing was recorded
+     * @returns {Promise<Object|null>}
+     */
+    async stop() {
+        if (!this.isRecording) return null;
+        this.isRecording = false;
+        this.flushChunk();
+        
+        const { info, spool, chunks, frameCount } = this;
+        this.spool = null;
+        this.chunks = [];
+        this.frameCount = 0;
+        if (frameCount === 0) return null;
+        
+        const track = await buildPoseTrack(info, frameCount, spool
+            ? (fn) => spool.forEachTrackChunk(fn)
+            : async (fn) => chunks.forEach(fn));
+        
+        console.log(`[PoseTrack] Recorded ${track.frameCount} frames`);
+        return track;
+    }
+}
+
+/**
+ * A track from its chunks, copied into arrays sized up front so the frames
+ * are only held once more while the chunks are read
+ * @param {Object} info { fencerId, device, settings }
+ * @param {number} frameCount Frames in all chunks
+ * @param {Function} forEachChunk (fn) => Promise, calls fn with each chunk in order
+ */
+export async function buildPoseTrack(info, frameCount, forEachChunk) {
+    const timestamps = new Float64Array(frameCount);
+    const landmarks = new Float32Array(frameCount * FRAME_VALUES);
+    const worldLandmarks = new Float32Array(frameCount * FRAME_VALUES);
+    const flags = new Uint8Array(frameCount);
+    
+    let filled = 0;
+    await forEachChunk((chunk) => {
+        const count = Math.min(chunk.frameCount, frameCount - filled);
+        timestamps.set(chunk.timestamps.subarray(0, count), filled);
+        landmarks.set(chunk.landmarks.subarray(0, count * FRAME_VALUES), filled * FRAME_VALUES);
+        worldLandmarks.set(chunk.worldLandmarks.subarray(0, count * FRAME_VALUES), filled * FRAME_VALUES);
+        flags.set(chunk.flags.subarray(0, count), filled);
+        filled += count;
+    });
+    
+    return {
+        version: POSE_TRACK_VERSION,
+        videoId: null,
+        fencerId: info.fencerId || null,
+        createdAt: Date.now(),
+        device: info.device || {},
+        settings: info.settings || {},
+        frameCount: filled,
+        timestamps,
+        landmarks,
+        worldLandmarks,
+        flags
+    };
+}
+
+/**
+ * Frames of a track in the form replayFrames() takes
+ * @returns {Array} [{ timestamp, landmarks, worldLandmarks }]
+ */
+export function trackFrames(track) {
+    const frames = [];
+    for (let i = 0; i < track.frameCount; i++) {
+        const hasPose = (track.flags[i] & FrameFlag.POSE) !== 0;
+        const hasWorld = (track.flags[i] & FrameFlag.WORLD) !== 0;
+        frames.push({
+            timestamp: track.timestamps[i],
+            landmarks: hasPose ? unpackLandmarks(track.landmarks, i * FRAME_VALUES) : null,
+            worldLandmarks: hasWorld ? unpackLandmarks(track.worldLandmarks, i * FRAME_VALUES) : null
+        });
+    }
+    return frames;
+}
+
+/**
+ * Binary file contents of a track
+ * @returns {ArrayBuffer}
+ */
+export function encodePoseTrack(track) {
+    const { frameCount } = track;
+    const header = JSON.stringify({
+        fencerId: track.fencerId,
+        videoId: track.videoId,
+        createdAt: track.createdAt,
+        device: track.device,
+        settings: track.settings,
+        frameCount
+    });
+    let headerBytes = new TextEncoder().encode(header);
+    const paddedLength = Math.ceil(headerBytes.length / 8) * 8;
+    if (paddedLength > headerBytes.length) {
+        const padded = new Uint8Array(paddedLength).fill(0x20);
+        padded.set(headerBytes);
+        headerBytes = padded;
+    }
+    
+    const timestampsOffset = PREFIX_BYTES + headerBytes.length;
+    const landmarksOffset = timestampsOffset + frameCount * 8;
+    const worldOffset = landmarksOffset + frameCount * FRAME_VALUES * 4;
+    const flagsOffset = worldOffset + frameCount * FRAME_VALUES * 4;
+    const buffer = new ArrayBuffer(flagsOffset + frameCount);
+    
+    const view = new DataView(buffer);
+    for (let i = 0; i < 4; i++) view.setUint8(i, POSE_TRACK_MAGIC.charCodeAt(i));
+    view.setUint32(4, POSE_TRACK_VERSION, true);
+    view.setUint32(8, headerBytes.length, true);
+    
+    const bytes = new Uint8Array(buffer);
+    bytes.set(headerBytes, PREFIX_BYTES);
+    // Typed arrays use the platform byte order; every browser we run on is little-endian
+    bytes.set(new Uint8Array(track.timestamps.buffer, track.timestamps.byteOffset, frameCount * 8), timestampsOffset);
+    bytes.set(new Uint8Array(track.landmarks.buffer, track.landmarks.byteOffset, frameCount * FRAME_VALUES * 4), landmarksOffset);
+    bytes.set(new Uint8Array(track.worldLandmarks.buffer, track.worldLandmarks.byteOffset, frameCount * FRAME_VALUES * 4), worldOffset);
+    bytes.set(track.flags, flagsOffset);
+    
+    return buffer;
+}
+
+/**
+ * Read a track file
+ * @param {ArrayBuffer} buffer File contents
+ * @returns {Object} Track
+ */
+export function decodePoseTrack(buffer) {
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+    if (buffer.byteLength < PREFIX_BYTES || magic !== POSE_TRACK_MAGIC) {
+        throw new Error('Not a pose track file');
+    }
+    
+    const version = view.getUint32(4, true);
+    if (version > POSE_TRACK_VERSION) {
+        throw new Error(`Unsupported pose track version: ${version}`);
+    }
+    
+    const headerLength = view.getUint32(8, true);
+    const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, PREFIX_BYTES, headerLength)));
+    const { frameCount } = header;
+    
+    const timestampsOffset = PREFIX_BYTES + headerLength;
+    const landmarksOffset = timestampsOffset + frameCount * 8;
+    const worldOffset = landmarksOffset + frameCount * FRAME_VALUES * 4;
+    const flagsOffset = worldOffset + frameCount * FRAME_VALUES * 4;
+    if (buffer.byteLength < flagsOffset + frameCount) {
+        throw new Error('Pose track file is truncated');
+    }
+    
+    // Copy out so the arrays don't keep the whole file alive
+    return {
+        ...header,
+        version,
+        timestamps: new Float64Array(buffer.slice(timestampsOffset, landmarksOffset)),
+        landmarks: new Float32Array(buffer.slice(landmarksOffset, worldOffset)),
+        worldLandmarks: new Float32Array(buffer.slice(worldOffset, flagsOffset)),
+        flags: new Uint8Array(buffer.slice(flagsOffset, flagsOffset + frameCount))
+    };
+}
@@ -0,0 +1,218 @@
+/**
+ * Fencer Profiles
+ * Several fencers sharing one device. Each profile owns its settings,
+ * badges and session history; videos and calibration are keyed by its id.
+ */
+
+const STORAGE_KEY = 'littlefencer_fencers';
+const MAX_SESSIONS = 200;
+
+// Profile that inherits data saved before profiles existed
+export const DEFAULT_FENCER_ID = 'default';
+
+export const AgeGroup = {
+    U8: 'U8',
+    U10: 'U10',
+    U12: 'U12',
+    U14: 'U14',
+    U17: 'U17',
+    ADULT: 'ADULT'
+};
+
+export const AgeGroupNames = {
+    [AgeGroup.U8]: '8岁以下',
+    [AgeGroup.U10]: '10岁以下',
+    [AgeGroup.U12]: '12岁以下',
+    [AgeGroup.U14]: '14岁以下',
+    [AgeGroup.U17]: '17岁以下',
+    [AgeGroup.ADULT]: '成人'
+};
+
+export const Handedness = {
+    RIGHT: 'right',
+    LEFT: 'left'
+};
+
+export const HandednessNames = {
+    [Handedness.RIGHT]: '右手持剑',
+    [Handedness.LEFT]: '左手持剑'
+};
+
+class FencerProfileManager {
+    constructor() {
+        this.data = null;  // { activeId, fencers: [...] }
+    }
+    
+    /**
+     * Read profiles, creating the default one on first run
+     */
+    load() {
+        if (this.data) return this.data;
+        
+        try {
+            this.data = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        } catch (error) {
+            console.warn('[Profiles] Ignoring unreadable profiles:', error);
+            this.data = null;
+        }
+        
+        if (!this.data || !Array.isArray(this.data.fencers) || this.data.fencers.length === 0) {
+            this.data = { activeId: DEFAULT_FENCER_ID, fencers: [] };
+            this.data.fencers.push(this.buildFencer(DEFAULT_FENCER_ID, { name: '小剑客' }));
+            this.adoptLegacyData(DEFAULT_FENCER_ID);
+            this.persist();
+        }
+        
+        return this.data;
+    }
+    
+    /**
+     * Move settings and badges saved before profiles existed to a profile
+     */
+    adoptLegacyData(fencerId) {
+        ['settings', 'badges'].forEach(kind => {
+            const legacyKey = `littlefencer_${kind}`;
+            const legacy = localStorage.getItem(legacyKey);
+            if (legacy !== null) {
+                localStorage.setItem(this.dataKey(fencerId, kind), legacy);
+                localStorage.removeItem(legacyKey);
+            }
+        });
+    }
+    
+    persist() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+    }
+    
+    buildFencer(id, { name, ageGroup = AgeGroup.U12, handedness = Handedness.RIGHT }) {
+        return {
+            id,
+            name: name.trim(),
+            ageGroup,
+            handedness,
+            createdAt: Date.now()
+        };
+    }
+    
+    getAll() {
+        return this.load().fencers;
+    }
+    
+    get(id) {
+        return this.getAll().find(fencer => fencer.id === id) || null;
+    }
+    
+    getActive() {
+        const data = this.load();
+        return this.get(data.activeId) || data.fencers[0];
+    }
+    
+    setActive(id) {
+        if (!this.get(id)) return null;
+        
+        this.load().activeId = id;
+        this.persist();
+        return this.get(id);
+    }
+    
+    create(fields) {
+        if (!fields.name || !fields.name.trim()) {
+            throw new Error('Fencer needs a name');
+        }
+        
+        const id = `fencer_${Date.now().toString(36)}`;
+        const fencer = this.buildFencer(id, fields);
+        this.load().fencers.push(fencer);
+        this.persist();
+        
+        console.log('[Profiles] Created fencer:', fencer.name);
+        return fencer;
+    }
+    
+    update(id, changes) {
+        const fencer = this.get(id);
+        if (!fencer) return null;
+        
+        if (changes.name !== undefined) {
+            if (!changes.name.trim()) throw new Error('Fencer needs a name');
+            fencer.name = changes.name.trim();
+        }
+        if (changes.ageGroup) fencer.ageGroup = changes.ageGroup;
+        if (changes.handedness) fencer.handedness = changes.handedness;
+        
+        this.persist();
+        return fencer;
+    }
+    
+    /**
+     * Delete a profile and the data it owns here. The last profile can't go.
+     */
+    remove(id) {
+        const data = this.load();
+        if (data.fencers.length <= 1 || !this.get(id)) return false;
+        
+        data.fencers = data.fencers.filter(fencer => fencer.id !== id);
+        if (data.activeId === id) {
+            data.activeId = data.fencers[0].id;
+        }
+        this.persist();
+        
+        ['settings', 'badges', 'sessions'].forEach(kind => {
+            localStorage.removeItem(this.dataKey(id, kind));
+        });
+        
+        console.log('[Profiles] Removed fencer:', id);
+        return true;
+    }
+    
+    // ===== Per-fencer data =====
+    
+    dataKey(fencerId, kind) {
+        return `littlefencer_${kind}_${fencerId}`;
+    }
+    
+    readData(fencerId, kind, fallback) {
+        try {
+            const saved = localStorage.getItem(this.dataKey(fencerId, kind));
+            return saved ? JSON.parse(saved) : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+    
+    writeData(fencerId, kind, value) {
+        localStorage.setItem(this.dataKey(fencerId, kind), JSON.stringify(value));
+    }
+    
+    getSettings(fencerId) {
+        return this.readData(fencerId, 'settings', {});
+    }
+    
+    saveSettings(fencerId, settings) {
+        this.writeData(fencerId, 'settings', settings);
+    }
+    
+    getBadges(fencerId) {
+        return this.readData(fencerId, 'badges', []);
+    }
+    
+    saveBadges(fencerId, badges) {
+        this.writeData(fencerId, 'badges', badges);
+    }
+    
+    getSessions(fencerId) {
+        return this.readData(fencerId, 'sessions', []);
+    }
+    
+    /**
+     * Record a finished training session, newest last
+     */
+    addSession(fencerId, session) {
+        const sessions = this.getSessions(fencerId);
+        sessions.push(session);
+        this.writeData(fencerId, 'sessions', sessions.slice(-MAX_SESSIONS));
+    }
+}
+
+// Singleton instance
+export const fencerProfiles = new FencerProfileManager();
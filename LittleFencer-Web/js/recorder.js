@@ -1,42 +1,293 @@
 /**
  * Video Recorder
  * Handles video recording using MediaRecorder API
+ *
+ * With pre-roll buffering on, short overlapping segments are recorded all
+ * session ("dashcam" mode, like FrameRingBuffer on Android): a new
+ * MediaRecorder starts every SEGMENT_MS and segments older than the pre-roll
+ * are dropped. A clip takes over the oldest segment still held and keeps
+ * recording it, so it starts before the moment recording was asked for and
+ * is still one file of its own, beginning on a keyframe at time 0.
+ *
+ * The chunks of a clip are written to storage as they arrive (ClipSpool), so
+ * a long recording doesn't grow in memory and is still on disk if the tab
+ * crashes.
  */
 
+const CHUNK_MS = 100;      // MediaRecorder timeslice
+const SEGMENT_MS = 1000;   // A new buffer segment starts this often
+
+/**
+ * The chunks of one clip, and of its pose track, written to storage in order.
+ * Falls back to memory without storage or once a write fails.
+ */
+class ClipSpool {
+    /**
+     * @param {Object} storage createRecording / appendRecordingChunk / appendTrackChunk /
+     *     getRecordingChunks / forEachTrackChunk / deleteRecording, e.g. videoStorage;
+     *     null: memory only
+     * @param {Object} info Stored with the recording, for recovery
+     */
+    constructor(storage, info) {
+        this.storage = storage;
+        this.id = null;
+        this.count = 0;
+        this.memoryChunks = [];
+        this.trackCount = 0;
+        this.memoryTrackChunks = [];
+        this.failed = !storage;
+        this.writes = storage
+            ? storage.createRecording(info).then((id) => { this.id = id; }, (error) => this.fail(error))
+            : Promise.resolve();
+    }
+    
+    fail(error) {
+        console.error('[Recorder] Writing clip to storage failed, keeping it in memory:', error);
+        this.failed = true;
+    }
+    
+    add(data, time) {
+        const seq = this.count++;
+        this.enqueue(
+            () => this.storage.appendRecordingChunk(this.id, seq, data, time),
+            () => this.memoryChunks.push(data)
+        );
+    }
+    
+    /**
+     * Add a chunk of pose track frames (see PoseTrackRecorder)
+     */
+    addTrackChunk(chunk) {
+        const seq = this.trackCount++;
+        this.enqueue(
+            () => this.storage.appendTrackChunk(this.id, seq, chunk),
+            () => this.memoryTrackChunks.push(chunk)
+        );
+    }
+    
+    /**
+     * Writes are chained so chunks land in order, also in memory after a failure
+     */
+    enqueue(write, keep) {
+        this.writes = this.writes.then(async () => {
+            if (!this.failed) {
+                try {
+                    await write();
+                    return;
+                } catch (error) {
+                    this.fail(error);
+                }
+            }
+            keep();
+        });
+    }
+    
+    /**
+     * The whole clip, once every chunk is written. Blobs read back from
+     * IndexedDB refer to data on disk, so this doesn't load the video into memory.
+     */
+    async toBlob(mimeType) {
+        await this.writes;
+        
+        const stored = this.id !== null ? await this.storage.getRecordingChunks(this.id) : [];
+        return new Blob([...stored.map(chunk => chunk.data), ...this.memoryChunks], { type: mimeType });
+    }
+    
+    /**
+     * Call `fn` with each pose track chunk in order, once every chunk is written
+     */
+    async forEachTrackChunk(fn) {
+        await this.writes;
+        
+        if (this.id !== null) {
+            await this.storage.forEachTrackChunk(this.id, fn);
+        }
+        this.memoryTrackChunks.forEach(fn);
+    }
+    
+    /**
+     * Remove the clip from storage, after it was saved as a video or dropped
+     */
+    async delete() {
+        await this.writes;
+        this.memoryChunks = [];
+        this.memoryTrackChunks = [];
+        
+        if (this.id !== null) {
+            await this.storage.deleteRecording(this.id).catch((error) => {
+                console.warn('[Recorder] Failed to delete spooled clip:', error);
+            });
+        }
+    }
+}
+
 export class VideoRecorder {
-    constructor() {
-        this.mediaRecorder = null;
-        this.chunks = [];
+    /**
+     * @param {Object} options { storage } where clips are written while recording
+     *     (see ClipSpool); without it they're kept in memory
+     */
+    constructor({ storage = null } = {}) {
+        this.mediaRecorder = null;  // Of the clip being recorded
+        this.storage = storage;
+        this.spool = null;          // ClipSpool of the current, or last, clip
         this.isRecording = false;
         this.startTime = null;
-        this.stream = null;
+        this.stream = null;         // The buffer's stream
+        
+        // Pre-roll buffer
+        this.isBuffering = false;
+        this.preRollMs = 2000;
+        this.segments = [];         // { recorder, startTime, chunks: [{ time, data }] }, oldest first
     }
     
     /**
-     * Start recording
+     * Create a MediaRecorder for the stream with the best supported format
      */
-    async start(stream) {
-        if (this.isRecording) return;
-        
-        this.stream = stream;
-        this.chunks = [];
-        
-        // Determine supported MIME type
+    createMediaRecorder(stream) {
         const mimeType = this.getSupportedMimeType();
         
         if (!mimeType) {
             throw new Error('No supported video MIME type found');
         }
         
+        return new MediaRecorder(stream, {
+            mimeType: mimeType,
+            videoBitsPerSecond: 2500000 // 2.5 Mbps
+        });
+    }
+    
+    /**
+     * Start keeping the last preRollMs of video. Restarts on a new stream,
+     * e.g. after the camera was flipped.
+     */
+    startBuffering(stream) {
+        if (this.isBuffering && this.stream === stream) return;
+        
+        this.stopBuffering();
+        
+        this.stream = stream;
+        if (!this.startSegment()) return;
+        this.isBuffering = true;
+        
+        console.log(`[Recorder] Buffering ${this.preRollMs / 1000}s pre-roll`);
+    }
+    
+    /**
+     * Stop the pre-roll buffer. A clip that took over a segment keeps recording.
+     */
+    stopBuffering() {
+        if (!this.isBuffering) return;
+        
+        this.isBuffering = false;
+        [...this.segments].forEach(segment => this.dropSegment(segment));
+        
+        console.log('[Recorder] Stopped buffering');
+    }
+    
+    /**
+     * Start a buffer segment on the buffer's stream
+     * @returns {boolean} Whether it started
+     */
+    startSegment() {
+        let recorder;
+        try {
+            recorder = this.createMediaRecorder(this.stream);
+        } catch (error) {
+            console.error('[Recorder] Failed to start buffering:', error);
+            return false;
+        }
+        
+        const segment = { recorder, startTime: Date.now(), chunks: [] };
+        
+        recorder.ondataavailable = (event) => {
+            if (event.data.size === 0) return;
+            
+            segment.chunks.push({ time: Date.now(), data: event.data });
+            if (segment === this.segments[this.segments.length - 1]) {
+                this.rotateSegments();
+            }
+        };
+        
+        recorder.onerror = (event) => {
+            console.error('[Recorder] Buffer error:', event.error);
+            this.dropSegment(segment);
+            if (this.segments.length === 0) {
+                this.isBuffering = false;
+            }
+        };
+        
+        recorder.start(CHUNK_MS);
+        this.segments.push(segment);
+        return true;
+    }
+    
+    /**
+     * Start a new segment every SEGMENT_MS and drop those older than the pre-roll
+     */
+    rotateSegments() {
+        const now = Date.now();
+        if (now - this.segments[this.segments.length - 1].startTime >= SEGMENT_MS) {
+            this.startSegment();
+        }
+        
+        while (this.segments.length > 1 && this.segments[0].startTime < now - this.preRollMs) {
+            this.dropSegment(this.segments[0]);
+        }
+    }
+    
+    dropSegment(segment) {
+        this.segments = this.segments.filter(s => s !== segment);
+        segment.recorder.ondataavailable = null;
+        segment.recorder.onerror = null;
+        if (segment.recorder.state !== 'inactive') {
+            segment.recorder.stop();
+        }
+    }
+    
+    /**
+     * Take the segment a clip with pre-roll starts from: the oldest one that
+     * started within the pre-roll, else the newest
+     */
+    takeSegment() {
+        const keepFrom = Date.now() - this.preRollMs;
+        const segment = this.segments.find(s => s.startTime >= keepFrom)
+            || this.segments[this.segments.length - 1];
+        
+        this.segments = this.segments.filter(s => s !== segment);
+        if (this.segments.length === 0) {
+            this.startSegment();
+        }
+        return segment;
+    }
+    
+    /**
+     * Start recording
+     * @param {MediaStream} stream Camera stream
+     * @param {Object} options { preRoll }: start the clip up to preRollMs before
+     *     now, when the buffer is running on this stream; { info }: stored with
+     *     the spooled clip, so it can be recovered after a crash
+     */
+    async start(stream, { preRoll = false, info = {} } = {}) {
+        if (this.isRecording) return;
+        
         try {
-            this.mediaRecorder = new MediaRecorder(stream, {
-                mimeType: mimeType,
-                videoBitsPerSecond: 2500000 // 2.5 Mbps
-            });
+            // Continue a buffer segment, or start a recorder of our own
+            const segment = preRoll && this.isBuffering && this.stream === stream && this.segments.length > 0
+                ? this.takeSegment()
+                : null;
+            
+            if (segment) {
+                this.mediaRecorder = segment.recorder;
+                this.startTime = segment.startTime;
+            } else {
+                this.mediaRecorder = this.createMediaRecorder(stream);
+                this.startTime = Date.now();
+            }
+            this.spool = new ClipSpool(this.storage, { ...info, mimeType: this.mediaRecorder.mimeType, startTime: this.startTime });
             
             this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.chunks.push(event.data);
+                if (event.data.size > 0 && this.isRecording) {
+                    this.spool.add(event.data, Date.now());
                 }
             };
             
@@ -45,11 +296,14 @@ export class VideoRecorder {
                 this.isRecording = false;
             };
             
-            this.mediaRecorder.start(100); // Collect data every 100ms
+            if (segment) {
+                segment.chunks.forEach(chunk => this.spool.add(chunk.data, chunk.time));
+            } else {
+                this.mediaRecorder.start(CHUNK_MS); // Collect data every 100ms
+            }
             this.isRecording = true;
-            this.startTime = Date.now();
             
-            console.log('[Recorder] Started recording');
+            console.log(`[Recorder] Started recording, ${((Date.now() - this.startTime) / 1000).toFixed(1)}s pre-roll`);
             
         } catch (error) {
             console.error('[Recorder] Failed to start:', error);
@@ -58,26 +312,28 @@ export class VideoRecorder {
     }
     
     /**
-     * Stop recording and return blob
+     * Stop recording and return blob, or null if the recorder failed or
+     * delivered nothing
      */
     async stop() {
         if (!this.isRecording) return null;
         
-        return new Promise((resolve) => {
-            this.mediaRecorder.onstop = () => {
-                const mimeType = this.mediaRecorder.mimeType;
-                const blob = new Blob(this.chunks, { type: mimeType });
-                
-                this.isRecording = false;
-                this.chunks = [];
-                
-                console.log('[Recorder] Stopped, blob size:', blob.size);
-                
-                resolve(blob);
-            };
-            
-            this.mediaRecorder.stop();
+        const mediaRecorder = this.mediaRecorder;
+        await new Promise((resolve) => {
+            mediaRecorder.onstop = resolve;
+            mediaRecorder.stop();
         });
+        
+        // The recorder failed meanwhile
+        if (!this.isRecording) return null;
+        
+        this.isRecording = false;
+        if (this.spool.count === 0) return null;
+        
+        const blob = await this.spool.toBlob(mediaRecorder.mimeType);
+        
+        console.log('[Recorder] Stopped, blob size:', blob.size);
+        return blob;
     }
     
     /**
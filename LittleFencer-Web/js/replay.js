@@ -0,0 +1,59 @@
+/**
+ * Replay
+ * Runs recorded pose frames back through a fresh engine. All engine and
+ * detector timing comes from the frame timestamps, so replaying a session
+ * from its first frame gives the same state changes and actions as it did
+ * live. Frames from mid-session, like a clip's pose track, start from an
+ * idle engine instead of the live one's state.
+ */
+
+import { FencingStateEngine } from './engine.js';
+
+/**
+ * Replay recorded frames
+ * @param {Array} frames [{ timestamp, landmarks, worldLandmarks }] in time order;
+ *     landmarks null for frames where no pose was found
+ * @param {Object} options Settings the live session ran with
+ * @param {string} options.handedness Handedness.RIGHT or Handedness.LEFT
+ * @param {Object} options.profile Calibration profile, or null for defaults
+ * @param {Object} options.correctionRules Form correction overrides
+ * @param {number} options.frameAspect Width / height of the recorded frames
+ * @returns {Object} { stateChanges, actions, feedback }
+ */
+export function replayFrames(frames, { handedness, profile = null, correctionRules = {}, frameAspect = 1 } = {}) {
+    let currentTime = frames.length > 0 ? frames[0].timestamp : 0;
+    const engine = new FencingStateEngine({ clock: () => currentTime });
+    
+    engine.setFrameAspect(frameAspect);
+    if (handedness) engine.setHandedness(handedness);
+    engine.applyProfile(profile);
+    engine.corrections.configure(correctionRules);
+    
+    const stateChanges = [];
+    const actions = [];
+    const feedback = [];
+    
+    engine.onStateChange = (state, data) => {
+        stateChanges.push({ time: currentTime, state, previousState: data.previousState });
+    };
+    
+    engine.onActionDetected = (action, quality, message, rep) => {
+        actions.push({ time: currentTime, action, quality, feedback: message, score: rep.score, rep });
+    };
+    
+    engine.onFeedback = (message, type) => {
+        feedback.push({ time: currentTime, message, type });
+    };
+    
+    for (const frame of frames) {
+        currentTime = frame.timestamp;
+        
+        if (frame.landmarks) {
+            engine.processPose(frame.landmarks, frame.worldLandmarks, frame.timestamp);
+        } else {
+            engine.handleNoPose(frame.timestamp);
+        }
+    }
+    
+    return { stateChanges, actions, feedback };
+}
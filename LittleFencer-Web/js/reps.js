@@ -0,0 +1,111 @@
+/**
+ * Rep Records
+ * Everything measured during one completed action: its time span, the
+ * detector phases it went through, summary metrics and the sampled metric
+ * series, for charts, video annotation and coach review
+ */
+
+// Engine metrics sampled every frame into the timeline
+export const REP_METRICS = ['frontKneeAngle', 'backKneeAngle', 'armExtension', 'torsoAngle', 'stanceWidth', 'hipCenterY'];
+
+// Decimal places kept per metric, so records stay small when stored
+const PRECISION = {
+    frontKneeAngle: 1,
+    backKneeAngle: 1,
+    armExtension: 3,
+    torsoAngle: 1,
+    stanceWidth: 3,
+    hipCenterY: 4
+};
+
+function round(value, digits) {
+    return Number(value.toFixed(digits));
+}
+
+/**
+ * Recent per-frame metric samples, kept by time
+ */
+export class MetricTimeline {
+    constructor(windowMs = 5000) {
+        this.windowMs = windowMs;  // Longer than any action, including a held-back advance
+        this.samples = [];
+    }
+    
+    add(timestamp, metrics) {
+        const sample = { time: timestamp };
+        REP_METRICS.forEach(name => {
+            sample[name] = round(metrics[name], PRECISION[name]);
+        });
+        this.samples.push(sample);
+        
+        while (this.samples.length > 0 && timestamp - this.samples[0].time > this.windowMs) {
+            this.samples.shift();
+        }
+    }
+    
+    /**
+     * Samples with startTime <= time <= endTime
+     */
+    between(startTime, endTime) {
+        return this.samples.filter(sample => sample.time >= startTime && sample.time <= endTime);
+    }
+    
+    clear() {
+        this.samples = [];
+    }
+}
+
+/**
+ * Full record of one completed action from its detector result and the
+ * samples taken during it
+ * @param {Object} result Detector result (action, quality, score, phases, startTime, endTime...)
+ * @param {Array} samples MetricTimeline samples covering the action
+ * @returns {Object} Rep record
+ */
+export function buildRepRecord(result, samples) {
+    const { phases = [], ...fields } = result;
+    const landing = samples.length > 0 ? samples[samples.length - 1] : null;
+    
+    const max = (name) => samples.length > 0 ? Math.max(...samples.map(s => s[name])) : null;
+    const min = (name) => samples.length > 0 ? Math.min(...samples.map(s => s[name])) : null;
+    
+    return {
+        ...fields,
+        phases,
+        peakArmExtension: max('armExtension'),
+        minFrontKneeAngle: min('frontKneeAngle'),
+        landingBackKneeAngle: landing ? landing.backKneeAngle : null,
+        maxTorsoLean: max('torsoAngle'),
+        samples
+    };
+}
+
+/**
+ * What a video clip shows, one entry per action, with times as ms offsets
+ * into the clip so playback can seek to each phase
+ * @param {Array} reps Rep records of the actions in the clip
+ * @param {number} clipStartTime When the clip starts (engine clock)
+ * @param {Array} corrections Correction messages shown during the clip [{ time, message, type }]
+ * @returns {Array} [{ action, quality, score, feedback, startOffset, endOffset, phases: [{ action, phase, offset }] }]
+ */
+export function buildClipActions(reps, clipStartTime, corrections = []) {
+    const offset = (time) => Math.max(0, Math.round(time - clipStartTime));
+    
+    return reps.map(rep => {
+        // The action's own verdict first, then corrections given while it ran
+        const feedback = rep.feedback ? [rep.feedback] : [];
+        corrections
+            .filter(c => c.time >= rep.startTime && c.time <= rep.endTime && !feedback.includes(c.message))
+            .forEach(c => feedback.push(c.message));
+        
+        return {
+            action: rep.action,
+            quality: rep.quality,
+            score: rep.score,
+            feedback,
+            startOffset: offset(rep.startTime),
+            endOffset: offset(rep.endTime),
+            phases: rep.phases.map(({ action, phase, time }) => ({ action, phase, offset: offset(time) }))
+        };
+    });
+}
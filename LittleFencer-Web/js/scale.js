@@ -0,0 +1,60 @@
+/**
+ * Body Scale
+ * Expresses image-space distances and speeds in body units (torso lengths),
+ * so thresholds hold whether the fencer stands 2 m or 4 m from the camera.
+ * Landmarks must have x and y in one unit (see toSquarePixels), or the unit
+ * would change with the frame's aspect ratio.
+ */
+
+import { PoseLandmark } from './pose.js';
+import { calculateDistance, midpoint, smoothValue } from './utils.js';
+
+// Torso length assumed before the first pose is seen
+const DEFAULT_UNIT = 0.2;
+
+export class BodyScale {
+    constructor() {
+        this.torsoLength = null;     // Smoothed shoulder-to-hip length, image units
+        this.lastTimestamp = null;
+        
+        this.smoothing = 0.1;        // Low alpha: body size doesn't change within a session
+        this.minTorsoLength = 0.02;  // Ignore degenerate poses
+    }
+    
+    /**
+     * Update from a frame's landmarks. Safe to call more than once per frame.
+     */
+    update(landmarks, timestamp) {
+        if (timestamp === this.lastTimestamp) return;
+        this.lastTimestamp = timestamp;
+        
+        if (!landmarks || landmarks.length < 33) return;
+        
+        const shoulderMid = midpoint(landmarks[PoseLandmark.LEFT_SHOULDER], landmarks[PoseLandmark.RIGHT_SHOULDER]);
+        const hipMid = midpoint(landmarks[PoseLandmark.LEFT_HIP], landmarks[PoseLandmark.RIGHT_HIP]);
+        const length = calculateDistance(shoulderMid, hipMid);
+        
+        if (length < this.minTorsoLength) return;
+        
+        this.torsoLength = smoothValue(length, this.torsoLength, this.smoothing);
+    }
+    
+    /**
+     * One body unit in image coordinates
+     */
+    get unit() {
+        return this.torsoLength || DEFAULT_UNIT;
+    }
+    
+    /**
+     * Image-space distance (or speed) in body units
+     */
+    toBody(value) {
+        return value / this.unit;
+    }
+    
+    reset() {
+        this.torsoLength = null;
+        this.lastTimestamp = null;
+    }
+}
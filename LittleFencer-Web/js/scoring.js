@@ -0,0 +1,88 @@
+/**
+ * Form Scoring
+ * Continuous 0-100 form score from weighted criteria, each earning partial
+ * credit, with the PERFECT/GOOD/ACCEPTABLE/POOR levels derived from the score
+ */
+
+import { clamp } from './utils.js';
+
+// Lowest score of each quality level, best first
+export const QualityScoreMin = {
+    PERFECT: 90,
+    GOOD: 75,
+    ACCEPTABLE: 50,
+    POOR: 0
+};
+
+/**
+ * Credit that rises linearly from 0 at zeroAt to 1 at fullAt. Either end
+ * can be the larger one, so it works for "at least" and "at most" checks.
+ * @param {number} value Measured value
+ * @param {number} zeroAt Value that earns no credit
+ * @param {number} fullAt Value that earns full credit
+ * @returns {number} Credit 0-1
+ */
+export function rampCredit(value, zeroAt, fullAt) {
+    if (zeroAt === fullAt) return value >= fullAt ? 1 : 0;
+    return clamp((value - zeroAt) / (fullAt - zeroAt), 0, 1);
+}
+
+/**
+ * Full credit inside [min, max], falling linearly to 0 at falloff beyond
+ * either end. E.g. a front knee of 80-100° is ideal, 125° earns half of 25°.
+ * @param {number} value Measured value
+ * @param {number} min Low end of the ideal range
+ * @param {number} max High end of the ideal range
+ * @param {number} falloff Distance outside the range where credit reaches 0
+ * @returns {number} Credit 0-1
+ */
+export function bandCredit(value, min, max, falloff) {
+    if (value < min) return rampCredit(value, min - falloff, min);
+    if (value > max) return rampCredit(value, max + falloff, max);
+    return 1;
+}
+
+/**
+ * Weighted 0-100 score from criteria
+ * @param {Array} criteria [{ id, label, weight, credit }], credit 0-1
+ * @returns {Object} { score, breakdown: [{ id, label, weight, score }] }
+ */
+export function scoreCriteria(criteria) {
+    const totalWeight = criteria.reduce((sum, c) => sum + c.weight, 0);
+    if (totalWeight <= 0) return { score: 0, breakdown: [] };
+    
+    const earned = criteria.reduce((sum, c) => sum + c.weight * clamp(c.credit, 0, 1), 0);
+    
+    return {
+        score: Math.round(100 * earned / totalWeight),
+        breakdown: criteria.map(c => ({
+            id: c.id,
+            label: c.label,
+            weight: c.weight,
+            score: Math.round(100 * clamp(c.credit, 0, 1))
+        }))
+    };
+}
+
+/**
+ * Quality level for a 0-100 score
+ */
+export function scoreToQuality(score) {
+    for (const [quality, min] of Object.entries(QualityScoreMin)) {
+        if (score >= min) return quality;
+    }
+    return 'POOR';
+}
+
+/**
+ * Middle of a quality level's score range, for results graded only by level
+ */
+export function qualityToScore(quality) {
+    const levels = Object.entries(QualityScoreMin);
+    const index = levels.findIndex(([name]) => name === quality);
+    if (index === -1) return 0;
+    
+    const min = levels[index][1];
+    const max = index === 0 ? 100 : levels[index - 1][1];
+    return Math.round((min + max) / 2);
+}
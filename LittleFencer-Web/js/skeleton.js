@@ -51,7 +51,7 @@ const POSE_CONNECTIONS = [
 ];
 
 // Quality colors
-const QUALITY_COLORS = {
+export const QUALITY_COLORS = {
     perfect: '#4ade80',   // Green
     good: '#4ade80',      // Green
     acceptable: '#fbbf24', // Yellow
@@ -60,14 +60,18 @@ const QUALITY_COLORS = {
 };
 
 export class SkeletonRenderer {
-    constructor(canvasId) {
-        this.canvas = document.getElementById(canvasId);
+    /**
+     * @param {string|HTMLCanvasElement} canvas Overlay canvas or its id
+     */
+    constructor(canvas) {
+        this.canvas = typeof canvas === 'string' ? document.getElementById(canvas) : canvas;
         this.ctx = this.canvas.getContext('2d');
         
         // Rendering settings
         this.lineWidth = 4;
         this.pointRadius = 6;
         this.minVisibility = 0.5;
+        this.mirrored = true;  // Flip x like the front camera preview
         
         // Animation
         this.lastRenderTime = 0;
@@ -90,6 +94,13 @@ export class SkeletonRenderer {
         // Clear previous frame
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
+        this.draw(landmarks, quality);
+    }
+    
+    /**
+     * Draw the skeleton over what's already on the canvas, e.g. a video frame
+     */
+    draw(landmarks, quality = 'neutral') {
         // Smooth landmarks
         const smoothed = this.smoothLandmarks(landmarks);
         
@@ -103,6 +114,13 @@ export class SkeletonRenderer {
         this.drawLandmarks(smoothed, color);
     }
     
+    /**
+     * Canvas x of a normalized x, mirrored for the front camera
+     */
+    toCanvasX(x) {
+        return (this.mirrored ? 1 - x : x) * this.canvas.width;
+    }
+    
     /**
      * Clear canvas
      */
@@ -169,10 +187,9 @@ export class SkeletonRenderer {
             if ((end.visibility || 0) < this.minVisibility) continue;
             
             // Convert normalized coordinates to canvas coordinates
-            // Mirror X for front camera
-            const x1 = (1 - start.x) * this.canvas.width;
+            const x1 = this.toCanvasX(start.x);
             const y1 = start.y * this.canvas.height;
-            const x2 = (1 - end.x) * this.canvas.width;
+            const x2 = this.toCanvasX(end.x);
             const y2 = end.y * this.canvas.height;
             
             this.ctx.beginPath();
@@ -212,8 +229,7 @@ export class SkeletonRenderer {
             const lm = landmarks[idx];
             if (!lm || (lm.visibility || 0) < this.minVisibility) continue;
             
-            // Mirror X for front camera
-            const x = (1 - lm.x) * this.canvas.width;
+            const x = this.toCanvasX(lm.x);
             const y = lm.y * this.canvas.height;
             
             // Draw point with glow
@@ -1,16 +1,55 @@
 /**
  * Video Storage Manager
- * IndexedDB-based storage for training videos
+ * IndexedDB-based storage for training videos and their pose tracks, and
+ * for the chunks of recordings still in progress, so a clip survives a crash
+ *
+ * The 'videos' store holds only metadata and a small thumbnail image, so the
+ * gallery can page through it; video blobs are in their own store and read
+ * only to play or share a video.
  */
 
+import { DEFAULT_FENCER_ID } from './profiles.js';
+import { encodePoseTrack } from './posetrack.js';
+
 const DB_NAME = 'LittleFencerDB';
-const DB_VERSION = 1;
+const DB_VERSION = 5;
 const STORE_NAME = 'videos';
+const BLOB_STORE_NAME = 'videoBlobs';          // { id, blob }, keyed by video id
+const TRACK_STORE_NAME = 'poseTracks';  // One per video, keyed by video id
+const RECORDING_STORE_NAME = 'recordings';     // Recordings in progress
+const CHUNK_STORE_NAME = 'recordingChunks';    // Their chunks, keyed [recordingId, seq]
+const TRACK_CHUNK_STORE_NAME = 'recordingTrackChunks';  // Their pose track, in chunks of frames
+
+const GALLERY_PAGE_SIZE = 24;
+
+// Recordings are tagged with the page writing them. A page holds a Web Lock
+// named after itself while open, so another page can tell it's still alive.
+const PAGE_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+const PAGE_LOCK_PREFIX = 'littlefencer-page-';
+const RECORDING_HEARTBEAT_MS = 10000;  // Without Web Locks: a recording written to this recently is live
+
+/**
+ * Whether a video passes the gallery filters (see getVideos)
+ */
+function matchesFilter(video, filter, { actionType = null, quality = null, since = null } = {}) {
+    if (filter === 'starred' && !video.starred) return false;
+    if (filter === 'normal' && video.starred) return false;
+    if (since != null && video.timestamp < since) return false;
+    
+    // Matched per action, so a clip with a POOR lunge among others counts as one
+    if (actionType || quality) {
+        return (video.actions || []).some(a =>
+            (!actionType || a.action === actionType) && (!quality || a.quality === quality)
+        );
+    }
+    return true;
+}
 
 class VideoStorageManager {
     constructor() {
         this.db = null;
         this.isReady = false;
+        this.pageClaimed = false;
     }
     
     /**
@@ -28,6 +67,7 @@ class VideoStorageManager {
             request.onsuccess = () => {
                 this.db = request.result;
                 this.isReady = true;
+                this.claimPage();
                 console.log('[Storage] IndexedDB initialized');
                 resolve();
             };
@@ -43,73 +83,152 @@ class VideoStorageManager {
                     store.createIndex('starred', 'starred', { unique: false });
                     console.log('[Storage] Created videos store');
                 }
+                
+                // v2: videos belong to a fencer; older ones go to the default fencer
+                // (set in the v5 walk below)
+                const store = event.target.transaction.objectStore(STORE_NAME);
+                if (!store.indexNames.contains('fencerId')) {
+                    store.createIndex('fencerId', 'fencerId', { unique: false });
+                    console.log('[Storage] Added fencer index');
+                }
+                
+                // v3: landmark tracks recorded with the videos
+                if (!db.objectStoreNames.contains(TRACK_STORE_NAME)) {
+                    const trackStore = db.createObjectStore(TRACK_STORE_NAME, { keyPath: 'videoId' });
+                    trackStore.createIndex('fencerId', 'fencerId', { unique: false });
+                    console.log('[Storage] Created pose tracks store');
+                }
+                
+                // v4: recordings are written to disk while they run
+                if (!db.objectStoreNames.contains(RECORDING_STORE_NAME)) {
+                    db.createObjectStore(RECORDING_STORE_NAME, { keyPath: 'id' });
+                    db.createObjectStore(CHUNK_STORE_NAME, { keyPath: ['recordingId', 'seq'] });
+                    db.createObjectStore(TRACK_CHUNK_STORE_NAME, { keyPath: ['recordingId', 'seq'] });
+                    console.log('[Storage] Created recording stores');
+                }
+                
+                // v5: blobs move out of 'videos', which is paged by fencer and date
+                if (!db.objectStoreNames.contains(BLOB_STORE_NAME)) {
+                    const blobStore = db.createObjectStore(BLOB_STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('fencerTimestamp', ['fencerId', 'timestamp', 'id'], { unique: false });
+                    store.createIndex('fencerStarred', ['fencerId', 'starred'], { unique: false });
+                    
+                    store.openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor) return;
+                        
+                        const { blob, ...video } = cursor.value;
+                        if (blob) {
+                            blobStore.put({ id: video.id, blob });
+                        }
+                        cursor.update({
+                            ...video,
+                            fencerId: video.fencerId || DEFAULT_FENCER_ID,
+                            // Booleans are not valid keys, so were never indexed
+                            starred: (video.starred || video.quality === 'starred') ? 1 : 0,
+                            // Object URLs died with the page that made them; redrawn when first shown
+                            thumbnail: video.thumbnail instanceof Blob ? video.thumbnail : null
+                        });
+                        cursor.continue();
+                    };
+                    console.log('[Storage] Moved video blobs to their own store');
+                }
             };
         });
     }
     
     /**
-     * Save a video
+     * Hold this page's lock until the page is gone, crashed or closed
+     */
+    claimPage() {
+        if (this.pageClaimed || !navigator.locks) return;
+        this.pageClaimed = true;
+        
+        navigator.locks.request(PAGE_LOCK_PREFIX + PAGE_ID, () => new Promise(() => {}))
+            .catch((error) => console.warn('[Storage] Could not claim page lock:', error));
+    }
+    
+    /**
+     * Ids of the pages open now, or null if the browser can't tell
+     */
+    async getLivePageIds() {
+        if (!navigator.locks) return null;
+        
+        const { held } = await navigator.locks.query();
+        return new Set(held
+            .filter(lock => lock.name.startsWith(PAGE_LOCK_PREFIX))
+            .map(lock => lock.name.slice(PAGE_LOCK_PREFIX.length)));
+    }
+    
+    /**
+     * Save a video's metadata, and its blob if given (updates leave it out)
+     * @returns {Promise<Object>} The stored metadata
      */
     async saveVideo(videoData) {
         if (!this.isReady) await this.init();
         
-        // Generate thumbnail if not provided and blob exists
+        // Generate thumbnail if not provided and blob exists; kept as image data
         let thumbnail = videoData.thumbnail;
         if (!thumbnail && videoData.blob) {
             try {
-                const thumbBlob = await this.generateThumbnail(videoData.blob);
-                if (thumbBlob) {
-                    thumbnail = URL.createObjectURL(thumbBlob);
-                }
+                thumbnail = await this.generateThumbnail(videoData.blob);
             } catch (e) {
                 console.warn('[Storage] Could not generate thumbnail:', e);
             }
         }
         
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORE_NAME], 'readwrite');
+            const transaction = this.db.transaction([STORE_NAME, BLOB_STORE_NAME], 'readwrite');
             const store = transaction.objectStore(STORE_NAME);
             
             const video = {
                 id: videoData.id || Date.now(),
-                blob: videoData.blob,
-                thumbnail: thumbnail || null,
+                fencerId: videoData.fencerId || DEFAULT_FENCER_ID,
+                thumbnail: thumbnail || null,   // JPEG Blob
                 duration: videoData.duration || 0,
                 quality: videoData.quality || 'normal',
-                starred: videoData.starred !== undefined ? videoData.starred : (videoData.quality === 'starred'),
-                actionType: videoData.actionType || 'unknown',
+                // 0/1 rather than a boolean so the starred indexes can key on it
+                starred: (videoData.starred !== undefined ? videoData.starred : videoData.quality === 'starred') ? 1 : 0,
+                actionType: videoData.actionType || 'unknown',   // Action id, 'mixed' or 'unknown'
+                actions: videoData.actions || [],  // Per action: quality, score, feedback, phase offsets
                 actionCount: videoData.actionCount || 0,
                 perfectCount: videoData.perfectCount || 0,
+                score: videoData.score ?? null,         // Average form score (0-100) of the clip's actions
+                bestScore: videoData.bestScore ?? null,
                 timestamp: videoData.timestamp || Date.now(),
                 metadata: videoData.metadata || {}
             };
             
-            const request = store.put(video);
+            store.put(video);
+            if (videoData.blob) {
+                transaction.objectStore(BLOB_STORE_NAME).put({ id: video.id, blob: videoData.blob });
+            }
             
-            request.onsuccess = () => {
+            transaction.oncomplete = () => {
                 console.log('[Storage] Video saved:', video.id);
                 resolve(video);
             };
             
-            request.onerror = () => {
-                console.error('[Storage] Failed to save video:', request.error);
-                reject(request.error);
+            transaction.onerror = () => {
+                console.error('[Storage] Failed to save video:', transaction.error);
+                reject(transaction.error);
             };
         });
     }
     
     /**
-     * Get all videos
+     * Get all videos (metadata), newest first. With a fencer id, only that fencer's.
      */
-    async getAllVideos() {
+    async getAllVideos(fencerId = null) {
         if (!this.isReady) await this.init();
         
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([STORE_NAME], 'readonly');
             const store = transaction.objectStore(STORE_NAME);
-            const index = store.index('timestamp');
             
-            const request = index.openCursor(null, 'prev'); // Newest first
+            const request = fencerId
+                ? store.index('fencerId').openCursor(IDBKeyRange.only(fencerId))
+                : store.index('timestamp').openCursor(null, 'prev'); // Newest first
             const videos = [];
             
             request.onsuccess = (event) => {
@@ -118,6 +237,9 @@ class VideoStorageManager {
                     videos.push(cursor.value);
                     cursor.continue();
                 } else {
+                    if (fencerId) {
+                        videos.sort((a, b) => b.timestamp - a.timestamp);
+                    }
                     resolve(videos);
                 }
             };
@@ -130,22 +252,65 @@ class VideoStorageManager {
     
     /**
      * Get videos by filter
+     * @param {string} filter 'starred', 'normal' or 'all'
+     * @param {string} fencerId Only this fencer's videos
+     * @param {Object} options { actionType, quality }: only clips with an action
+     *     of this type and/or quality; { since }: recorded at or after (ms)
      */
-    async getVideos(filter = 'all') {
-        const allVideos = await this.getAllVideos();
-        
-        switch (filter) {
-            case 'starred':
-                return allVideos.filter(v => v.starred || v.quality === 'starred');
-            case 'normal':
-                return allVideos.filter(v => !v.starred && v.quality !== 'starred');
-            default:
-                return allVideos;
-        }
+    async getVideos(filter = 'all', fencerId = null, options = {}) {
+        const videos = await this.getAllVideos(fencerId);
+        return videos.filter(video => matchesFilter(video, filter, options));
+    }
+    
+    /**
+     * One page of a fencer's videos, newest first. The cursor stops once the
+     * page is full, so opening the gallery reads only what it shows.
+     * @param {string} fencerId
+     * @param {Object} options { filter, actionType, quality, since } as getVideos;
+     *     { after } the previous page's `next`; { limit } page size
+     * @returns {Promise<Object>} { videos, next }, next null after the last page
+     */
+    async getVideoPage(fencerId, { filter = 'all', actionType = null, quality = null, since = null, after = null, limit = GALLERY_PAGE_SIZE } = {}) {
+        if (!this.isReady) await this.init();
+        
+        const range = IDBKeyRange.bound(
+            [fencerId, since ?? -Infinity, -Infinity],
+            after || [fencerId, Infinity, Infinity],
+            false,
+            after !== null
+        );
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORE_NAME], 'readonly');
+            const request = transaction.objectStore(STORE_NAME).index('fencerTimestamp').openCursor(range, 'prev');
+            const videos = [];
+            
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    resolve({ videos, next: null });
+                    return;
+                }
+                
+                if (matchesFilter(cursor.value, filter, { actionType, quality })) {
+                    videos.push(cursor.value);
+                }
+                
+                if (videos.length === limit) {
+                    resolve({ videos, next: cursor.key });
+                } else {
+                    cursor.continue();
+                }
+            };
+            
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
     }
     
     /**
-     * Get a single video by ID
+     * Get a single video's metadata by ID
      */
     async getVideo(id) {
         if (!this.isReady) await this.init();
@@ -165,6 +330,43 @@ class VideoStorageManager {
         });
     }
     
+    /**
+     * The video itself, or null if it's missing
+     */
+    async getVideoBlob(id) {
+        if (!this.isReady) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([BLOB_STORE_NAME], 'readonly');
+            const request = transaction.objectStore(BLOB_STORE_NAME).get(id);
+            
+            request.onsuccess = () => {
+                resolve(request.result ? request.result.blob : null);
+            };
+            
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+    
+    /**
+     * A video's thumbnail, drawn from the video and stored the first time for
+     * videos saved without one (or from before thumbnails were kept)
+     */
+    async ensureThumbnail(id) {
+        const video = await this.getVideo(id);
+        if (!video) return null;
+        if (video.thumbnail) return video.thumbnail;
+        
+        const blob = await this.getVideoBlob(id);
+        const thumbnail = blob ? await this.generateThumbnail(blob) : null;
+        if (thumbnail) {
+            await this.saveVideo({ ...video, thumbnail });
+        }
+        return thumbnail;
+    }
+    
     /**
      * Update video (e.g., toggle star)
      */
@@ -183,43 +385,88 @@ class VideoStorageManager {
         const video = await this.getVideo(id);
         if (!video) return null;
         
-        video.starred = !video.starred;
+        video.starred = video.starred ? 0 : 1;
         return this.saveVideo(video);
     }
     
     /**
-     * Delete a video
+     * Delete a video and its pose track
      */
     async deleteVideo(id) {
         if (!this.isReady) await this.init();
         
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.delete(id);
+            const transaction = this.db.transaction([STORE_NAME, BLOB_STORE_NAME, TRACK_STORE_NAME], 'readwrite');
+            transaction.objectStore(STORE_NAME).delete(id);
+            transaction.objectStore(BLOB_STORE_NAME).delete(id);
+            transaction.objectStore(TRACK_STORE_NAME).delete(id);
             
-            request.onsuccess = () => {
+            transaction.oncomplete = () => {
                 console.log('[Storage] Video deleted:', id);
                 resolve(true);
             };
             
+            transaction.onerror = () => {
+                console.error('[Storage] Failed to delete video:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+    
+    /**
+     * Save the pose track of a video (track.videoId must be set)
+     */
+    async savePoseTrack(track) {
+        if (!this.isReady) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([TRACK_STORE_NAME], 'readwrite');
+            const request = transaction.objectStore(TRACK_STORE_NAME).put(track);
+            
+            request.onsuccess = () => {
+                console.log(`[Storage] Pose track saved: ${track.videoId} (${track.frameCount} frames)`);
+                resolve(track);
+            };
+            
+            request.onerror = () => {
+                console.error('[Storage] Failed to save pose track:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+    
+    /**
+     * Get the pose track of a video, or undefined if it has none
+     */
+    async getPoseTrack(videoId) {
+        if (!this.isReady) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([TRACK_STORE_NAME], 'readonly');
+            const request = transaction.objectStore(TRACK_STORE_NAME).get(videoId);
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
             request.onerror = () => {
-                console.error('[Storage] Failed to delete video:', request.error);
                 reject(request.error);
             };
         });
     }
     
     /**
-     * Get video count
+     * Get video count, for one fencer when an id is given
      */
-    async getVideoCount() {
+    async getVideoCount(fencerId = null) {
         if (!this.isReady) await this.init();
         
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([STORE_NAME], 'readonly');
             const store = transaction.objectStore(STORE_NAME);
-            const request = store.count();
+            const request = fencerId
+                ? store.index('fencerId').count(IDBKeyRange.only(fencerId))
+                : store.count();
             
             request.onsuccess = () => {
                 resolve(request.result);
@@ -234,33 +481,292 @@ class VideoStorageManager {
     /**
      * Get starred video count
      */
-    async getStarredCount() {
-        const videos = await this.getVideos('starred');
-        return videos.length;
+    async getStarredCount(fencerId = null) {
+        if (!this.isReady) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORE_NAME], 'readonly');
+            const store = transaction.objectStore(STORE_NAME);
+            const request = fencerId
+                ? store.index('fencerStarred').count(IDBKeyRange.only([fencerId, 1]))
+                : store.index('starred').count(IDBKeyRange.only(1));
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
     }
     
     /**
-     * Clear all videos
+     * Delete every video of a fencer
      */
-    async clearAll() {
+    async deleteFencerVideos(fencerId) {
         if (!this.isReady) await this.init();
         
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORE_NAME], 'readwrite');
+            const transaction = this.db.transaction([STORE_NAME, BLOB_STORE_NAME, TRACK_STORE_NAME], 'readwrite');
             const store = transaction.objectStore(STORE_NAME);
-            const request = store.clear();
+            const blobStore = transaction.objectStore(BLOB_STORE_NAME);
+            const request = store.index('fencerId').openCursor(IDBKeyRange.only(fencerId));
+            let count = 0;
             
-            request.onsuccess = () => {
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    blobStore.delete(cursor.primaryKey);
+                    cursor.delete();
+                    count++;
+                    cursor.continue();
+                }
+            };
+            
+            const trackRequest = transaction.objectStore(TRACK_STORE_NAME).index('fencerId').openCursor(IDBKeyRange.only(fencerId));
+            trackRequest.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            
+            transaction.oncomplete = () => {
+                console.log(`[Storage] Deleted ${count} videos of fencer:`, fencerId);
+                resolve(count);
+            };
+            
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+    
+    /**
+     * Clear all videos, pose tracks and unfinished recordings
+     */
+    async clearAll() {
+        if (!this.isReady) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORE_NAME, BLOB_STORE_NAME, TRACK_STORE_NAME, RECORDING_STORE_NAME, CHUNK_STORE_NAME, TRACK_CHUNK_STORE_NAME], 'readwrite');
+            transaction.objectStore(STORE_NAME).clear();
+            transaction.objectStore(BLOB_STORE_NAME).clear();
+            transaction.objectStore(TRACK_STORE_NAME).clear();
+            transaction.objectStore(RECORDING_STORE_NAME).clear();
+            transaction.objectStore(CHUNK_STORE_NAME).clear();
+            transaction.objectStore(TRACK_CHUNK_STORE_NAME).clear();
+            
+            transaction.oncomplete = () => {
                 console.log('[Storage] All videos cleared');
                 resolve(true);
             };
             
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+    
+    /**
+     * Start a recording on disk
+     * @param {Object} info { fencerId, mimeType, startTime, ... } kept for recovery
+     * @returns {Promise<number>} Recording id
+     */
+    async createRecording(info) {
+        if (!this.isReady) await this.init();
+        
+        const recording = { ...info, id: Date.now(), pageId: PAGE_ID, createdAt: Date.now() };
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([RECORDING_STORE_NAME], 'readwrite');
+            const request = transaction.objectStore(RECORDING_STORE_NAME).put(recording);
+            
+            request.onsuccess = () => {
+                resolve(recording.id);
+            };
+            
+            request.onerror = () => {
+                console.error('[Storage] Failed to start recording:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+    
+    /**
+     * Append one MediaRecorder chunk to a recording
+     * @param {number} time When the chunk was delivered (ms)
+     */
+    async appendRecordingChunk(recordingId, seq, data, time) {
+        if (!this.isReady) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CHUNK_STORE_NAME], 'readwrite');
+            transaction.objectStore(CHUNK_STORE_NAME).put({ recordingId, seq, time, data });
+            
+            transaction.oncomplete = () => {
+                resolve();
+            };
+            
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+    
+    /**
+     * Chunks of a recording in order: [{ seq, time, data }]
+     */
+    async getRecordingChunks(recordingId) {
+        if (!this.isReady) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CHUNK_STORE_NAME], 'readonly');
+            const range = IDBKeyRange.bound([recordingId, 0], [recordingId, Infinity]);
+            const request = transaction.objectStore(CHUNK_STORE_NAME).getAll(range);
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
             request.onerror = () => {
                 reject(request.error);
             };
         });
     }
     
+    /**
+     * Append a chunk of pose track frames to a recording
+     * @param {Object} chunk { frameCount, timestamps, landmarks, worldLandmarks, flags }
+     */
+    async appendTrackChunk(recordingId, seq, chunk) {
+        if (!this.isReady) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([TRACK_CHUNK_STORE_NAME], 'readwrite');
+            transaction.objectStore(TRACK_CHUNK_STORE_NAME).put({ ...chunk, recordingId, seq });
+            
+            transaction.oncomplete = () => {
+                resolve();
+            };
+            
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+    
+    /**
+     * Call `fn` with each pose track chunk of a recording in order. Read one
+     * at a time, so a long track is never in memory twice.
+     */
+    async forEachTrackChunk(recordingId, fn) {
+        if (!this.isReady) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([TRACK_CHUNK_STORE_NAME], 'readonly');
+            const range = IDBKeyRange.bound([recordingId, 0], [recordingId, Infinity]);
+            const request = transaction.objectStore(TRACK_CHUNK_STORE_NAME).openCursor(range);
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                fn(cursor.value);
+                cursor.continue();
+            };
+            
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+    
+    /**
+     * Recordings that were never finished, e.g. the tab crashed or was
+     * reloaded. Those of a page still open, this one or another tab, are
+     * still being recorded and left alone.
+     */
+    async getUnfinishedRecordings() {
+        if (!this.isReady) await this.init();
+        
+        const recordings = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([RECORDING_STORE_NAME], 'readonly');
+            const request = transaction.objectStore(RECORDING_STORE_NAME).getAll();
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+        
+        const livePages = await this.getLivePageIds();
+        const unfinished = [];
+        for (const recording of recordings) {
+            if (recording.pageId === PAGE_ID) continue;
+            
+            if (livePages) {
+                if (livePages.has(recording.pageId)) continue;
+            } else {
+                // No locks to ask: a recording still being written counts as live
+                const lastWrite = await this.getLastRecordingWrite(recording);
+                if (Date.now() - lastWrite < RECORDING_HEARTBEAT_MS) continue;
+            }
+            unfinished.push(recording);
+        }
+        return unfinished;
+    }
+    
+    /**
+     * When a recording was last written to: its newest chunk, or its creation
+     */
+    async getLastRecordingWrite(recording) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CHUNK_STORE_NAME], 'readonly');
+            const range = IDBKeyRange.bound([recording.id, 0], [recording.id, Infinity]);
+            const request = transaction.objectStore(CHUNK_STORE_NAME).openCursor(range, 'prev');
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                resolve(cursor ? cursor.value.time : recording.createdAt);
+            };
+            
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+    
+    /**
+     * Delete a recording and its chunks, video and pose track, once saved as a video or discarded
+     */
+    async deleteRecording(recordingId) {
+        if (!this.isReady) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const chunkRange = IDBKeyRange.bound([recordingId, 0], [recordingId, Infinity]);
+            const transaction = this.db.transaction([RECORDING_STORE_NAME, CHUNK_STORE_NAME, TRACK_CHUNK_STORE_NAME], 'readwrite');
+            transaction.objectStore(RECORDING_STORE_NAME).delete(recordingId);
+            transaction.objectStore(CHUNK_STORE_NAME).delete(chunkRange);
+            transaction.objectStore(TRACK_CHUNK_STORE_NAME).delete(chunkRange);
+            
+            transaction.oncomplete = () => {
+                resolve(true);
+            };
+            
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+    }
+    
     /**
      * Generate thumbnail from video blob
      */
@@ -304,13 +810,14 @@ class VideoStorageManager {
      */
     async exportForShare(id) {
         const video = await this.getVideo(id);
-        if (!video || !video.blob) return null;
+        const blob = video ? await this.getVideoBlob(id) : null;
+        if (!blob) return null;
         
         // Create a File object for sharing
-        const extension = video.blob.type.includes('mp4') ? 'mp4' : 'webm';
+        const extension = blob.type.includes('mp4') ? 'mp4' : 'webm';
         const filename = `LittleFencer_${new Date(video.timestamp).toISOString().slice(0,10)}_${video.id}.${extension}`;
         
-        const file = new File([video.blob], filename, { type: video.blob.type });
+        const file = new File([blob], filename, { type: blob.type });
         
         return {
             file,
@@ -322,6 +829,20 @@ class VideoStorageManager {
             }
         };
     }
+    
+    /**
+     * Export a video's pose track as a file, for sending to a coach without
+     * the video. Null if the video has no track.
+     */
+    async exportPoseTrackForShare(videoId) {
+        const track = await this.getPoseTrack(videoId);
+        if (!track) return null;
+        
+        const filename = `LittleFencer_${new Date(track.createdAt).toISOString().slice(0,10)}_${videoId}.lfpt`;
+        const file = new File([encodePoseTrack(track)], filename, { type: 'application/octet-stream' });
+        
+        return { file, filename, frameCount: track.frameCount };
+    }
 }
 
 // Singleton instance
@@ -6,6 +6,34 @@
 
 import { ActionDisplayNames } from './detectors/index.js';
 import { platform } from './platform.js';
+import { fencerProfiles, AgeGroupNames, HandednessNames } from './profiles.js';
+import { CorrectionRuleNames } from './corrections.js';
+
+/**
+ * Escape user-entered text for innerHTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Status badge icon and text per engine state
+export const StateDisplay = {
+    IDLE: { icon: '🎯', text: '准备中' },
+    EN_GARDE: { icon: '⚔️', text: 'En Garde' },
+    LUNGING: { icon: '🗡️', text: '弓步!' },
+    RECOVERY: { icon: '↩️', text: '回收' },
+    ADVANCING: { icon: '➡️', text: '前进' },
+    RETREATING: { icon: '⬅️', text: '后退' }
+};
+
+export const QualityEmoji = {
+    PERFECT: '⭐',
+    GOOD: '✅',
+    ACCEPTABLE: '👍',
+    POOR: '❌'
+};
 
 // Badge definitions
 const BADGES = {
@@ -46,8 +74,15 @@ export class UIManager {
         this.currentSlide = 0;
         this.hasSeenOnboarding = localStorage.getItem('littlefencer_onboarding_done') === 'true';
         
-        // Badge tracking
-        this.earnedBadges = JSON.parse(localStorage.getItem('littlefencer_badges') || '[]');
+        // Badge tracking (per fencer, loaded in updateFencer)
+        this.earnedBadges = [];
+        
+        // Fencer being edited in the fencer panel (null = adding)
+        this.editingFencerId = null;
+        
+        // Gallery paging: where the next page starts, and thumbnail URLs to revoke
+        this.galleryNext = null;
+        this.thumbnailUrls = [];
         
         // iOS install prompt tracking
         this.hasShownIOSInstallPrompt = localStorage.getItem('littlefencer_ios_install_shown') === 'true';
@@ -64,22 +99,65 @@ export class UIManager {
             actionOverlay: document.getElementById('action-overlay'),
             actionName: document.getElementById('action-name'),
             actionQuality: document.getElementById('action-quality'),
+            actionScore: document.getElementById('action-score'),
+            actionBreakdown: document.getElementById('action-breakdown'),
             comboContainer: document.getElementById('combo-container'),
             comboCount: document.getElementById('combo-count'),
             feedbackToast: document.getElementById('feedback-toast'),
             recordingIndicator: document.getElementById('recording-indicator'),
             fpsValue: document.getElementById('fps-value'),
+            angleModeValue: document.getElementById('angle-mode-value'),
             actionCount: document.getElementById('action-count'),
             perfectCount: document.getElementById('perfect-count'),
+            averageScore: document.getElementById('average-score'),
             durationValue: document.getElementById('duration-value'),
             galleryModal: document.getElementById('gallery-modal'),
             galleryGrid: document.getElementById('gallery-grid'),
+            galleryFilterAction: document.getElementById('gallery-filter-action'),
+            galleryFilterQuality: document.getElementById('gallery-filter-quality'),
+            galleryFilterPeriod: document.getElementById('gallery-filter-period'),
             btnStart: document.getElementById('btn-start'),
             btnRecord: document.getElementById('btn-record'),
             btnCamera: document.getElementById('btn-camera'),
             btnSound: document.getElementById('btn-sound'),
             btnGallery: document.getElementById('btn-gallery'),
             btnCloseGallery: document.getElementById('btn-close-gallery'),
+            btnSettings: document.getElementById('btn-settings'),
+            // Fencer elements
+            btnFencer: document.getElementById('btn-fencer'),
+            fencerAvatar: document.getElementById('fencer-avatar'),
+            fencerName: document.getElementById('fencer-name'),
+            fencerModal: document.getElementById('fencer-modal'),
+            fencerList: document.getElementById('fencer-list'),
+            fencerForm: document.getElementById('fencer-form'),
+            fencerFormTitle: document.getElementById('fencer-form-title'),
+            fencerNameInput: document.getElementById('fencer-name-input'),
+            fencerAgeInput: document.getElementById('fencer-age-input'),
+            fencerHandInput: document.getElementById('fencer-hand-input'),
+            btnFencerSave: document.getElementById('btn-fencer-save'),
+            btnFencerCancelEdit: document.getElementById('btn-fencer-cancel-edit'),
+            settingsModal: document.getElementById('settings-modal'),
+            settingHandedness: document.getElementById('setting-handedness'),
+            settingPreRoll: document.getElementById('setting-preroll'),
+            settingRecordingStyle: document.getElementById('setting-recording-style'),
+            settingClipMode: document.getElementById('setting-clip-mode'),
+            correctionRules: document.getElementById('correction-rules'),
+            btnCloseSettings: document.getElementById('btn-close-settings'),
+            // Calibration elements
+            calibrationOverlay: document.getElementById('calibration-overlay'),
+            calibrationStep: document.getElementById('calibration-step'),
+            calibrationProgressBar: document.getElementById('calibration-progress-bar'),
+            calibrationStatus: document.getElementById('calibration-status'),
+            btnCalibrate: document.getElementById('btn-calibrate'),
+            btnResetCalibration: document.getElementById('btn-reset-calibration'),
+            btnCancelCalibration: document.getElementById('btn-cancel-calibration'),
+            // Video file analysis elements
+            analysisOverlay: document.getElementById('analysis-overlay'),
+            analysisStatus: document.getElementById('analysis-status'),
+            analysisProgressBar: document.getElementById('analysis-progress-bar'),
+            btnCancelAnalysis: document.getElementById('btn-cancel-analysis'),
+            btnAnalyzeVideo: document.getElementById('btn-analyze-video'),
+            analyzeFileInput: document.getElementById('analyze-file-input'),
             // Onboarding elements
             onboarding: document.getElementById('onboarding'),
             btnOnboardingNext: document.getElementById('btn-onboarding-next'),
@@ -229,7 +307,7 @@ export class UIManager {
         
         // Record badge
         this.earnedBadges.push(badgeId);
-        localStorage.setItem('littlefencer_badges', JSON.stringify(this.earnedBadges));
+        fencerProfiles.saveBadges(this.app.fencerId, this.earnedBadges);
         
         // Show popup
         if (this.elements.badgePopup) {
@@ -311,6 +389,44 @@ export class UIManager {
             });
         });
         
+        // Narrow the gallery by action, quality and when it was recorded
+        [this.elements.galleryFilterAction, this.elements.galleryFilterQuality, this.elements.galleryFilterPeriod].forEach(select => {
+            select.addEventListener('change', () => {
+                this.loadGalleryItems(this.currentFilter || 'starred');
+            });
+        });
+        
+        // Play a video, or load the next page
+        this.elements.galleryGrid.addEventListener('click', (e) => {
+            if (e.target.closest('.gallery-more')) {
+                this.loadMoreGalleryItems();
+                return;
+            }
+            
+            const item = e.target.closest('.gallery-item');
+            if (item) {
+                this.openVideoPlayer(parseInt(item.dataset.id));
+            }
+        });
+        
+        // Analyse a video file from the phone
+        this.elements.btnAnalyzeVideo.addEventListener('click', () => {
+            this.elements.analyzeFileInput.click();
+        });
+        
+        this.elements.analyzeFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';  // Same file can be picked again
+            if (!file) return;
+            
+            this.hideGallery();
+            this.app.analyzeVideoFile(file);
+        });
+        
+        this.elements.btnCancelAnalysis.addEventListener('click', () => {
+            this.app.cancelAnalysis();
+        });
+        
         // Close modals on backdrop click
         this.elements.galleryModal.addEventListener('click', (e) => {
             if (e.target === this.elements.galleryModal) {
@@ -320,6 +436,368 @@ export class UIManager {
         
         // Video player modal controls
         this.setupVideoPlayerControls();
+        
+        // Settings modal
+        this.setupSettings();
+        
+        // Fencer profiles
+        this.setupFencers();
+    }
+    
+    /**
+     * Setup fencer panel: quick switching, adding and editing fencers
+     */
+    setupFencers() {
+        const { fencerAgeInput, fencerHandInput } = this.elements;
+        
+        fencerAgeInput.innerHTML = Object.entries(AgeGroupNames)
+            .map(([value, name]) => `<option value="${value}">${name}</option>`).join('');
+        fencerHandInput.innerHTML = Object.entries(HandednessNames)
+            .map(([value, name]) => `<option value="${value}">${name}</option>`).join('');
+        
+        this.elements.btnFencer.addEventListener('click', () => {
+            this.showFencers();
+        });
+        
+        document.getElementById('btn-close-fencers').addEventListener('click', () => {
+            this.hideFencers();
+        });
+        
+        this.elements.fencerModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.fencerModal) {
+                this.hideFencers();
+            }
+        });
+        
+        this.elements.fencerForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveFencerForm();
+        });
+        
+        this.elements.btnFencerCancelEdit.addEventListener('click', () => {
+            this.resetFencerForm();
+        });
+    }
+    
+    /**
+     * Show fencer panel
+     */
+    showFencers() {
+        this.resetFencerForm();
+        this.renderFencerList();
+        this.elements.fencerModal.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide fencer panel
+     */
+    hideFencers() {
+        this.elements.fencerModal.classList.add('hidden');
+    }
+    
+    /**
+     * List fencers; tapping one switches to them
+     */
+    renderFencerList() {
+        const list = this.elements.fencerList;
+        const fencers = fencerProfiles.getAll();
+        
+        list.innerHTML = fencers.map(fencer => {
+            const sessions = fencerProfiles.getSessions(fencer.id).length;
+            const active = fencer.id === this.app.fencerId;
+            return `
+                <div class="fencer-item ${active ? 'active' : ''}" data-id="${fencer.id}">
+                    <span class="fencer-avatar">${escapeHtml(fencer.name.charAt(0))}</span>
+                    <div class="fencer-info">
+                        <span class="fencer-name">${escapeHtml(fencer.name)}</span>
+                        <span class="fencer-meta">${AgeGroupNames[fencer.ageGroup]} · ${HandednessNames[fencer.handedness]} · ${sessions} 次训练</span>
+                    </div>
+                    <button class="fencer-item-btn" data-action="edit" title="编辑">✏️</button>
+                    ${fencers.length > 1 ? '<button class="fencer-item-btn" data-action="delete" title="删除">🗑️</button>' : ''}
+                </div>
+            `;
+        }).join('');
+        
+        list.querySelectorAll('.fencer-item').forEach(item => {
+            const id = item.dataset.id;
+            
+            item.addEventListener('click', (e) => {
+                const action = e.target.dataset.action;
+                if (action === 'edit') {
+                    this.editFencer(id);
+                } else if (action === 'delete') {
+                    this.confirmDeleteFencer(id);
+                } else {
+                    this.app.switchFencer(id);
+                    this.hideFencers();
+                }
+            });
+        });
+    }
+    
+    /**
+     * Fill the form with a fencer's details for editing
+     */
+    editFencer(id) {
+        const fencer = fencerProfiles.get(id);
+        if (!fencer) return;
+        
+        this.editingFencerId = id;
+        this.elements.fencerFormTitle.textContent = `编辑 ${fencer.name}`;
+        this.elements.fencerNameInput.value = fencer.name;
+        this.elements.fencerAgeInput.value = fencer.ageGroup;
+        this.elements.fencerHandInput.value = fencer.handedness;
+        this.elements.btnFencerSave.textContent = '保存';
+        this.elements.btnFencerCancelEdit.classList.remove('hidden');
+    }
+    
+    /**
+     * Back to adding a new fencer
+     */
+    resetFencerForm() {
+        this.editingFencerId = null;
+        this.elements.fencerForm.reset();
+        this.elements.fencerFormTitle.textContent = '添加击剑手';
+        this.elements.btnFencerSave.textContent = '添加';
+        this.elements.btnFencerCancelEdit.classList.add('hidden');
+    }
+    
+    saveFencerForm() {
+        const fields = {
+            name: this.elements.fencerNameInput.value,
+            ageGroup: this.elements.fencerAgeInput.value,
+            handedness: this.elements.fencerHandInput.value
+        };
+        
+        if (!fields.name.trim()) return;
+        
+        if (this.editingFencerId) {
+            this.app.updateFencer(this.editingFencerId, fields);
+            this.resetFencerForm();
+            this.renderFencerList();
+        } else {
+            this.app.createFencer(fields);
+            this.hideFencers();
+        }
+    }
+    
+    confirmDeleteFencer(id) {
+        const fencer = fencerProfiles.get(id);
+        if (!fencer) return;
+        
+        this.showConfirmDialog(
+            '删除击剑手',
+            `确定要删除 ${fencer.name} 吗？TA 的视频、徽章和校准数据都会被删除，此操作无法撤销。`,
+            async () => {
+                await this.app.deleteFencer(id);
+                this.renderFencerList();
+            }
+        );
+    }
+    
+    /**
+     * Show the active fencer on the main screen and load their badges
+     */
+    updateFencer(fencer) {
+        this.elements.fencerAvatar.textContent = fencer.name.charAt(0);
+        this.elements.fencerName.textContent = fencer.name;
+        this.earnedBadges = fencerProfiles.getBadges(fencer.id);
+        this.elements.btnSound.querySelector('.btn-icon').textContent =
+            this.app.settings.soundEnabled ? '🔊' : '🔇';
+    }
+    
+    /**
+     * Setup settings modal: handedness, toggles and personal calibration
+     */
+    setupSettings() {
+        const { settingHandedness, settingPreRoll, settingRecordingStyle, settingClipMode } = this.elements;
+        
+        settingHandedness.innerHTML = Object.entries(HandednessNames)
+            .map(([value, name]) => `<option value="${value}">${name}</option>`).join('');
+        
+        // Handedness belongs to the active fencer's profile
+        settingHandedness.addEventListener('change', (e) => {
+            this.app.updateFencer(this.app.fencerId, { handedness: e.target.value });
+        });
+        
+        const toggles = {
+            'setting-voice': 'voiceEnabled',
+            'setting-sound': 'soundEnabled',
+            'setting-skeleton': 'skeletonEnabled',
+            'setting-autorecord': 'autoRecordEnabled'
+        };
+        
+        Object.entries(toggles).forEach(([id, key]) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                this.app.settings[key] = e.target.checked;
+                this.app.saveSettings();
+                this.app.updateRecordingSources();
+                this.elements.btnSound.querySelector('.btn-icon').textContent =
+                    this.app.settings.soundEnabled ? '🔊' : '🔇';
+            });
+        });
+        
+        // Seconds of lead-up buffered for auto-recorded clips
+        settingPreRoll.addEventListener('change', (e) => {
+            this.app.settings.preRollSeconds = Number(e.target.value);
+            this.app.saveSettings();
+            this.app.updateRecordingSources();
+        });
+        
+        // Clean clip, or with skeleton, state and action labels burned in
+        settingRecordingStyle.addEventListener('change', (e) => {
+            this.app.settings.recordingStyle = e.target.value;
+            this.app.saveSettings();
+            this.app.updateRecordingSources();
+        });
+        
+        // One auto-recorded clip per action, or one through back-to-back actions
+        settingClipMode.addEventListener('change', (e) => {
+            this.app.settings.clipMode = e.target.value;
+            this.app.saveSettings();
+        });
+        
+        this.elements.btnSettings.addEventListener('click', () => {
+            Object.entries(toggles).forEach(([id, key]) => {
+                document.getElementById(id).checked = this.app.settings[key];
+            });
+            settingHandedness.value = this.app.fencer.handedness;
+            settingPreRoll.value = String(this.app.settings.preRollSeconds);
+            settingRecordingStyle.value = this.app.settings.recordingStyle;
+            settingClipMode.value = this.app.settings.clipMode;
+            this.renderCorrectionRules();
+            this.elements.settingsModal.classList.remove('hidden');
+        });
+        
+        this.elements.btnCloseSettings.addEventListener('click', () => {
+            this.hideSettings();
+        });
+        
+        this.elements.settingsModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.settingsModal) {
+                this.hideSettings();
+            }
+        });
+        
+        // Calibration
+        this.elements.btnCalibrate.addEventListener('click', () => {
+            this.hideSettings();
+            this.app.startCalibration();
+        });
+        
+        this.elements.btnResetCalibration.addEventListener('click', () => {
+            this.app.resetCalibration();
+        });
+        
+        this.elements.btnCancelCalibration.addEventListener('click', () => {
+            this.app.cancelCalibration();
+        });
+        
+        // Correction rules
+        this.elements.correctionRules.addEventListener('change', (e) => {
+            const field = e.target.dataset.field;
+            const ruleId = e.target.closest('.correction-rule').dataset.id;
+            if (!field) return;
+            
+            if (field === 'enabled') {
+                this.app.updateCorrectionRule(ruleId, { enabled: e.target.checked });
+                return;
+            }
+            
+            const value = parseFloat(e.target.value);
+            if (!Number.isFinite(value) || value < 0) {
+                this.renderCorrectionRules();
+                return;
+            }
+            this.app.updateCorrectionRule(ruleId, { [field]: field === 'cooldownMs' ? value * 1000 : value });
+        });
+        
+        document.getElementById('btn-reset-corrections').addEventListener('click', () => {
+            this.app.resetCorrectionRules();
+            this.renderCorrectionRules();
+        });
+    }
+    
+    /**
+     * List correction rules with their switch, margin and cooldown
+     */
+    renderCorrectionRules() {
+        this.elements.correctionRules.innerHTML = this.app.engine.corrections.rules.map(rule => `
+            <div class="correction-rule" data-id="${rule.id}">
+                <label class="correction-rule-name">
+                    <input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''}>
+                    ${CorrectionRuleNames[rule.id] || rule.id}
+                </label>
+                <div class="correction-rule-params">
+                    <label>容差 <input type="number" data-field="margin" value="${rule.margin}" min="0" step="${rule.unit === '°' ? 1 : 0.05}">${rule.unit}</label>
+                    <label>间隔 <input type="number" data-field="cooldownMs" value="${rule.cooldownMs / 1000}" min="0" step="0.5">秒</label>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Hide settings modal
+     */
+    hideSettings() {
+        this.elements.settingsModal.classList.add('hidden');
+    }
+    
+    /**
+     * Show calibration progress
+     */
+    showCalibration({ step, progress, lunges, lungeCount }) {
+        const stepText = {
+            EN_GARDE: '摆出 En Garde 并保持不动',
+            LUNGES: `慢慢做弓步再还原（${lunges}/${lungeCount}）`,
+            DONE: '校准完成！'
+        };
+        
+        this.elements.calibrationStep.textContent = stepText[step];
+        this.elements.calibrationProgressBar.style.width = `${Math.round(progress * 100)}%`;
+        this.elements.calibrationOverlay.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide calibration progress
+     */
+    hideCalibration() {
+        this.elements.calibrationOverlay.classList.add('hidden');
+    }
+    
+    /**
+     * Show video file analysis progress (0-1)
+     */
+    showAnalysis(fraction) {
+        const percent = Math.round(fraction * 100);
+        this.elements.analysisStatus.textContent = `正在分析 ${percent}%`;
+        this.elements.analysisProgressBar.style.width = `${percent}%`;
+        this.elements.analysisOverlay.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide video file analysis progress
+     */
+    hideAnalysis() {
+        this.elements.analysisOverlay.classList.add('hidden');
+    }
+    
+    /**
+     * Show whether the fencer's personal thresholds are in use
+     */
+    updateCalibrationStatus(profile) {
+        const status = this.elements.calibrationStatus;
+        
+        if (profile) {
+            const { enGardeKnee, lungeKnee } = profile.measured;
+            status.textContent = `已校准（${this.formatFullDate(profile.createdAt)}）· 预备膝角 ${enGardeKnee}° · 弓步膝角 ${lungeKnee}°`;
+            this.elements.btnCalibrate.textContent = '重新校准';
+            this.elements.btnResetCalibration.disabled = false;
+        } else {
+            status.textContent = '未校准，使用默认标准';
+            this.elements.btnCalibrate.textContent = '开始校准';
+            this.elements.btnResetCalibration.disabled = true;
+        }
     }
     
     /**
@@ -330,6 +808,7 @@ export class UIManager {
         const btnClosePlayer = document.getElementById('btn-close-player');
         const btnToggleStar = document.getElementById('btn-toggle-star');
         const btnShareVideo = document.getElementById('btn-share-video');
+        const btnShareTrack = document.getElementById('btn-share-track');
         const btnDeleteVideo = document.getElementById('btn-delete-video');
         const playbackVideo = document.getElementById('playback-video');
         
@@ -362,6 +841,12 @@ export class UIManager {
             await this.app.shareVideo(this.currentVideoId);
         });
         
+        // Share pose track only, without the video
+        btnShareTrack?.addEventListener('click', async () => {
+            if (!this.currentVideoId) return;
+            await this.app.sharePoseTrack(this.currentVideoId);
+        });
+        
         // Delete video
         btnDeleteVideo?.addEventListener('click', () => {
             this.showDeleteConfirmDialog();
@@ -380,11 +865,16 @@ export class UIManager {
         const btnConfirmOk = document.getElementById('btn-confirm-ok');
         
         btnConfirmCancel?.addEventListener('click', () => {
+            this.pendingConfirm = null;
             confirmDialog?.classList.add('hidden');
         });
         
         btnConfirmOk?.addEventListener('click', async () => {
-            if (this.pendingDeleteId) {
+            if (this.pendingConfirm) {
+                const onConfirm = this.pendingConfirm;
+                this.pendingConfirm = null;
+                await onConfirm();
+            } else if (this.pendingDeleteId) {
                 const success = await this.app.deleteVideo(this.pendingDeleteId);
                 if (success) {
                     this.showFeedback('视频已删除', 'success');
@@ -399,6 +889,7 @@ export class UIManager {
         // Close on backdrop
         confirmDialog?.addEventListener('click', (e) => {
             if (e.target === confirmDialog) {
+                this.pendingConfirm = null;
                 confirmDialog.classList.add('hidden');
             }
         });
@@ -408,7 +899,17 @@ export class UIManager {
      * Show delete confirmation dialog
      */
     showDeleteConfirmDialog() {
+        this.showConfirmDialog('确认删除', '确定要删除这个视频吗？此操作无法撤销。');
         this.pendingDeleteId = this.currentVideoId;
+    }
+    
+    /**
+     * Show confirmation dialog; onConfirm runs when the user confirms
+     */
+    showConfirmDialog(title, message, onConfirm = null) {
+        document.getElementById('confirm-title').textContent = title;
+        document.getElementById('confirm-message').textContent = message;
+        this.pendingConfirm = onConfirm;
         document.getElementById('confirm-dialog')?.classList.remove('hidden');
     }
     
@@ -456,39 +957,26 @@ export class UIManager {
         const icon = badge.querySelector('.status-icon');
         
         // Reset classes
-        badge.classList.remove('en-garde', 'lunging');
+        badge.classList.remove('en-garde', 'lunging', 'stepping');
+        
+        const display = StateDisplay[state];
+        if (display) {
+            icon.textContent = display.icon;
+            text.textContent = display.text;
+        }
         
         switch (state) {
-            case 'IDLE':
-                icon.textContent = '🎯';
-                text.textContent = '准备中';
-                break;
-                
             case 'EN_GARDE':
-                icon.textContent = '⚔️';
-                text.textContent = 'En Garde';
                 badge.classList.add('en-garde');
                 break;
                 
             case 'LUNGING':
-                icon.textContent = '🗡️';
-                text.textContent = '弓步!';
                 badge.classList.add('lunging');
                 break;
                 
-            case 'RECOVERY':
-                icon.textContent = '↩️';
-                text.textContent = '回收';
-                break;
-                
             case 'ADVANCING':
-                icon.textContent = '➡️';
-                text.textContent = '前进';
-                break;
-                
             case 'RETREATING':
-                icon.textContent = '⬅️';
-                text.textContent = '后退';
+                badge.classList.add('stepping');
                 break;
         }
     }
@@ -496,7 +984,7 @@ export class UIManager {
     /**
      * Show action detection result
      */
-    showAction(action, quality) {
+    showAction(action, quality, result) {
         const overlay = this.elements.actionOverlay;
         const nameEl = this.elements.actionName;
         const qualityEl = this.elements.actionQuality;
@@ -509,21 +997,22 @@ export class UIManager {
         // Set content
         nameEl.textContent = ActionDisplayNames[action] || action;
         
-        // Quality emoji
-        const qualityEmoji = {
-            'PERFECT': '⭐',
-            'GOOD': '✅',
-            'ACCEPTABLE': '👍',
-            'POOR': '❌'
-        };
-        
-        qualityEl.textContent = qualityEmoji[quality] || '';
+        qualityEl.textContent = QualityEmoji[quality] || '';
         qualityEl.className = 'action-quality';
         
         if (quality === 'PERFECT') {
             qualityEl.classList.add('perfect');
         }
         
+        // Score, and where points were lost (weakest first)
+        this.elements.actionScore.textContent = `${result.score} 分`;
+        this.elements.actionBreakdown.innerHTML = result.breakdown
+            .filter(item => item.score < 100)
+            .sort((a, b) => a.score - b.score)
+            .slice(0, 3)
+            .map(item => `<span>${escapeHtml(item.label)} ${item.score}</span>`)
+            .join('');
+        
         // Show
         overlay.classList.add('show');
         
@@ -572,6 +1061,8 @@ export class UIManager {
         
         if (type === 'error') {
             toast.classList.add('error');
+        } else if (type === 'warning') {
+            toast.classList.add('warning');
         } else if (type === 'success') {
             toast.classList.add('success');
         }
@@ -592,6 +1083,29 @@ export class UIManager {
         this.elements.fpsValue.textContent = fps;
     }
     
+    /**
+     * Update angle mode display: 3D world landmarks, or 2D screen
+     * coordinates that are only reliable with a side-on camera
+     */
+    updateAngleMode(mode) {
+        const el = this.elements.angleModeValue;
+        
+        el.classList.remove('mode-3d', 'mode-2d');
+        
+        if (mode === '3d') {
+            el.textContent = '3D';
+            el.title = '关节角度来自 3D 世界坐标，不受拍摄角度影响';
+            el.classList.add('mode-3d');
+        } else if (mode === '2d') {
+            el.textContent = '2D';
+            el.title = '关节角度来自 2D 画面坐标，摄像头需正对侧面才准确';
+            el.classList.add('mode-2d');
+        } else {
+            el.textContent = '--';
+            el.title = '';
+        }
+    }
+    
     /**
      * Update duration display
      */
@@ -605,23 +1119,67 @@ export class UIManager {
     updateStats(stats) {
         this.elements.actionCount.textContent = stats.actionCount;
         this.elements.perfectCount.textContent = stats.perfectCount;
+        this.elements.averageScore.textContent = stats.actionCount > 0 ? stats.averageScore : '--';
     }
     
     /**
      * Show gallery modal
      */
     async showGallery() {
+        document.getElementById('gallery-title').textContent = `📹 ${this.app.fencer.name} 的训练回放`;
         this.elements.galleryModal.classList.remove('hidden');
         this.currentFilter = 'starred';
+        this.renderGalleryActionFilter();
         await this.updateGalleryStats();
         await this.loadGalleryItems('starred');
     }
     
+    /**
+     * Action filter options, rebuilt on open so registered plugin actions show up
+     */
+    renderGalleryActionFilter() {
+        const select = this.elements.galleryFilterAction;
+        const selected = select.value;
+        
+        select.innerHTML = '<option value="">全部动作</option>' +
+            Object.entries(ActionDisplayNames)
+                .map(([action, name]) => `<option value="${action}">${name}</option>`)
+                .join('');
+        select.value = ActionDisplayNames[selected] ? selected : '';
+    }
+    
+    /**
+     * Filter options of the gallery's action, quality and period selects
+     * @returns {Object} { actionType, quality, since } for getGalleryPage
+     */
+    getGalleryFilterOptions() {
+        const period = this.elements.galleryFilterPeriod.value;
+        let since = null;
+        
+        if (period) {
+            const start = new Date();
+            start.setHours(0, 0, 0, 0);
+            if (period === 'week') {
+                start.setDate(start.getDate() - (start.getDay() + 6) % 7);  // Weeks start on Monday
+            } else if (period === 'month') {
+                start.setDate(1);
+            }
+            since = start.getTime();
+        }
+        
+        return {
+            actionType: this.elements.galleryFilterAction.value || null,
+            quality: this.elements.galleryFilterQuality.value || null,
+            since
+        };
+    }
+    
     /**
      * Hide gallery modal
      */
     hideGallery() {
         this.elements.galleryModal.classList.add('hidden');
+        this.releaseThumbnails();
     }
     
     /**
@@ -637,54 +1195,112 @@ export class UIManager {
     }
     
     /**
-     * Load gallery items
+     * Load the first page of gallery items
      */
     async loadGalleryItems(filter) {
         const grid = this.elements.galleryGrid;
         this.currentFilter = filter;
         
         // Show loading state
+        this.releaseThumbnails();
         grid.innerHTML = `
             <div class="loading-spinner">
                 <span>加载中...</span>
             </div>
         `;
         
-        const videos = await this.app.getGalleryVideos(filter);
+        const options = this.getGalleryFilterOptions();
+        const page = await this.app.getGalleryPage(filter, options);
         
-        if (videos.length === 0) {
+        if (page.videos.length === 0) {
+            const filtered = options.actionType || options.quality || options.since != null;
             grid.innerHTML = `
                 <div class="empty-state">
                     <span class="empty-icon">📹</span>
-                    <p>还没有${filter === 'starred' ? '精彩' : ''}录制视频</p>
-                    <p class="empty-hint">点击录制按钮开始</p>
+                    <p>${filtered ? '没有符合条件的视频' : `还没有${filter === 'starred' ? '精彩' : ''}录制视频`}</p>
+                    <p class="empty-hint">${filtered ? '换个筛选条件试试' : '点击录制按钮开始'}</p>
                 </div>
             `;
             return;
         }
         
-        grid.innerHTML = videos.map(video => `
+        grid.innerHTML = '';
+        this.appendGalleryItems(page);
+    }
+    
+    /**
+     * Load the page after the ones shown
+     */
+    async loadMoreGalleryItems() {
+        if (!this.galleryNext) return;
+        
+        const page = await this.app.getGalleryPage(this.currentFilter, {
+            ...this.getGalleryFilterOptions(),
+            after: this.galleryNext
+        });
+        this.appendGalleryItems(page);
+    }
+    
+    /**
+     * Add a page of items to the grid, with a button for the next page
+     */
+    appendGalleryItems({ videos, next }) {
+        const grid = this.elements.galleryGrid;
+        this.galleryNext = next;
+        
+        grid.querySelector('.gallery-more')?.remove();
+        grid.insertAdjacentHTML('beforeend', videos.map(video => `
             <div class="gallery-item" data-id="${video.id}">
                 ${video.thumbnail 
-                    ? `<img src="${video.thumbnail}" alt="视频缩略图" class="thumbnail">`
+                    ? `<img src="${this.thumbnailUrl(video.thumbnail)}" alt="视频缩略图" class="thumbnail">`
                     : `<div class="thumbnail" style="background: var(--secondary);"></div>`
                 }
                 <div class="play-icon">▶️</div>
                 <span class="video-date">${this.formatDate(video.timestamp)}</span>
                 <div class="overlay">
-                    <span class="quality-badge">${video.starred ? '⭐' : '📝'}</span>
+                    <span class="quality-badge">${video.starred ? '⭐' : (QualityEmoji[video.quality] || '📝')}${ActionDisplayNames[video.actionType] ? ` ${ActionDisplayNames[video.actionType]}` : ''}${video.score != null ? ` ${video.score}分` : ''}</span>
                     <span class="duration">${this.formatDuration(video.duration)}</span>
                 </div>
             </div>
-        `).join('');
+        `).join(''));
         
-        // Add click handlers for playback
-        grid.querySelectorAll('.gallery-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const videoId = parseInt(item.dataset.id);
-                this.openVideoPlayer(videoId);
-            });
-        });
+        if (next && videos.length > 0) {
+            grid.insertAdjacentHTML('beforeend', `
+                <div class="gallery-more">
+                    <button class="setting-btn">加载更多</button>
+                </div>
+            `);
+        }
+        
+        this.fillMissingThumbnails(videos);
+    }
+    
+    /**
+     * Draw thumbnails for videos saved without one, one at a time
+     */
+    async fillMissingThumbnails(videos) {
+        for (const video of videos.filter(v => !v.thumbnail)) {
+            const thumbnail = await this.app.getVideoThumbnail(video.id);
+            const placeholder = this.elements.galleryGrid.querySelector(`.gallery-item[data-id="${video.id}"] div.thumbnail`);
+            
+            if (thumbnail && placeholder) {
+                placeholder.outerHTML = `<img src="${this.thumbnailUrl(thumbnail)}" alt="视频缩略图" class="thumbnail">`;
+            }
+        }
+    }
+    
+    /**
+     * Object URL for a stored thumbnail, revoked when the gallery is reloaded or closed
+     */
+    thumbnailUrl(blob) {
+        const url = URL.createObjectURL(blob);
+        this.thumbnailUrls.push(url);
+        return url;
+    }
+    
+    releaseThumbnails() {
+        this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls = [];
     }
     
     /**
@@ -692,7 +1308,8 @@ export class UIManager {
      */
     async openVideoPlayer(videoId) {
         const video = await this.app.getVideoById(videoId);
-        if (!video) {
+        const blob = video ? await this.app.getVideoBlob(videoId) : null;
+        if (!blob) {
             this.showFeedback('视频加载失败', 'error');
             return;
         }
@@ -710,7 +1327,7 @@ export class UIManager {
         if (this.currentVideoUrl) {
             URL.revokeObjectURL(this.currentVideoUrl);
         }
-        this.currentVideoUrl = URL.createObjectURL(video.blob);
+        this.currentVideoUrl = URL.createObjectURL(blob);
         playbackVideo.src = this.currentVideoUrl;
         
         // Update info
@@ -718,6 +1335,7 @@ export class UIManager {
         if (videoDuration) videoDuration.textContent = this.formatDuration(video.duration);
         if (videoActions) videoActions.textContent = video.actionCount || 0;
         if (videoPerfects) videoPerfects.textContent = video.perfectCount || 0;
+        this.renderClipActions(video.actions || [], playbackVideo);
         
         // Update star button
         this.updateStarButton(video.starred);
@@ -726,6 +1344,28 @@ export class UIManager {
         playerModal?.classList.remove('hidden');
     }
     
+    /**
+     * The clip's actions with their feedback; tapping one seeks to it
+     */
+    renderClipActions(actions, playbackVideo) {
+        const list = document.getElementById('video-clip-actions');
+        if (!list) return;
+        
+        list.innerHTML = actions.map((action, index) => `
+            <div class="clip-action" data-index="${index}">
+                <span>${QualityEmoji[action.quality] || ''} ${ActionDisplayNames[action.action] || action.action} ${action.score}分 · ${this.formatDuration(action.startOffset / 1000)}</span>
+                ${action.feedback.length > 0 ? `<div class="clip-action-feedback">${action.feedback.join('；')}</div>` : ''}
+            </div>
+        `).join('');
+        
+        list.querySelectorAll('.clip-action').forEach(item => {
+            item.addEventListener('click', () => {
+                playbackVideo.currentTime = actions[Number(item.dataset.index)].startOffset / 1000;
+                playbackVideo.play();
+            });
+        });
+    }
+    
     /**
      * Hide video player modal
      */
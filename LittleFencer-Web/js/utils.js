@@ -3,6 +3,11 @@
  * Math functions for pose analysis
  */
 
+import { PoseLandmark } from './pose.js';
+
+// Nose-to-ears offset (torso lengths) that shows the head is in profile
+const HEAD_PROFILE_OFFSET = 0.08;
+
 /**
  * Calculate angle between three points (in degrees)
  * @param {Object} a First point {x, y}
@@ -21,6 +26,35 @@ export function calculateAngle(a, b, c) {
     return angle;
 }
 
+/**
+ * Calculate angle between three points in 3D (in degrees)
+ * Unlike calculateAngle, not distorted when the camera isn't side-on
+ * @param {Object} a First point {x, y, z}
+ * @param {Object} b Middle point (vertex)
+ * @param {Object} c Third point
+ * @returns {number} Angle in degrees
+ */
+export function calculateAngle3D(a, b, c) {
+    const ab = calculateDistance3D(a, b);
+    const cb = calculateDistance3D(c, b);
+    const ac = calculateDistance3D(a, c);
+    
+    if (ab === 0 || cb === 0) return 0;
+    
+    // Law of cosines
+    const cosine = clamp((ab * ab + cb * cb - ac * ac) / (2 * ab * cb), -1, 1);
+    return Math.acos(cosine) * 180.0 / Math.PI;
+}
+
+/**
+ * Check whether a pose result carries usable 3D world landmarks
+ * @param {Array} worldLandmarks MediaPipe poseWorldLandmarks
+ * @returns {boolean} True if all 33 world landmarks are present
+ */
+export function hasWorldLandmarks(worldLandmarks) {
+    return Array.isArray(worldLandmarks) && worldLandmarks.length >= 33;
+}
+
 /**
  * Calculate distance between two points
  * @param {Object} a First point {x, y}
@@ -46,6 +80,19 @@ export function calculateDistance3D(a, b) {
     return Math.sqrt(dx * dx + dy * dy + dz * dz);
 }
 
+/**
+ * Landmarks with x in frame heights instead of frame widths. MediaPipe
+ * normalizes x by width and y by height, so until then a distance across
+ * the frame and one down it aren't in the same unit.
+ * @param {Array} landmarks Pose landmarks (image coordinates)
+ * @param {number} aspect Frame width / height
+ * @returns {Array} Corrected copy, or the same landmarks for a square frame
+ */
+export function toSquarePixels(landmarks, aspect) {
+    if (aspect === 1) return landmarks;
+    return landmarks.map(point => ({ ...point, x: point.x * aspect }));
+}
+
 /**
  * Calculate midpoint between two points
  * @param {Object} a First point {x, y}
@@ -88,13 +135,55 @@ export function isInFront(point, reference, facingRight) {
 }
 
 /**
- * Determine facing direction based on shoulder positions
+ * Determine facing direction based on shoulder positions. The weapon-side
+ * shoulder leads, like the front foot, so facing right puts it at the larger x.
  * @param {Object} leftShoulder Left shoulder landmark
  * @param {Object} rightShoulder Right shoulder landmark
+ * @param {boolean} leftHanded Whether the weapon is in the left hand
  * @returns {boolean} True if facing right
  */
-export function isFacingRight(leftShoulder, rightShoulder) {
-    return leftShoulder.x > rightShoulder.x;
+export function isFacingRight(leftShoulder, rightShoulder, leftHanded = false) {
+    return leftHanded ? leftShoulder.x > rightShoulder.x : rightShoulder.x > leftShoulder.x;
+}
+
+/**
+ * How far the nose is ahead of the ears along x. In profile the nose points
+ * the way the fencer faces, whichever hand holds the weapon.
+ * @param {Object} nose Nose landmark
+ * @param {Object} leftEar Left ear landmark
+ * @param {Object} rightEar Right ear landmark
+ * @returns {number|null} Signed offset (positive = facing right), null if the head isn't visible
+ */
+export function headOffset(nose, leftEar, rightEar) {
+    const isVisible = (point) => (point.visibility ?? 1) >= 0.5;
+    const ears = [leftEar, rightEar].filter(isVisible);
+    
+    if (!isVisible(nose) || ears.length === 0) return null;
+    
+    const earX = ears.reduce((sum, ear) => sum + ear.x, 0) / ears.length;
+    return nose.x - earX;
+}
+
+/**
+ * Facing direction from the head when it's in profile, otherwise from the
+ * shoulders
+ * @param {Array} landmarks Pose landmarks (image coordinates)
+ * @param {number} bodyUnit One torso length in image units (BodyScale.unit)
+ * @param {boolean} leftHanded Whether the weapon is in the left hand
+ * @returns {boolean} True if facing right
+ */
+export function detectFacingRight(landmarks, bodyUnit, leftHanded = false) {
+    const offset = headOffset(
+        landmarks[PoseLandmark.NOSE],
+        landmarks[PoseLandmark.LEFT_EAR],
+        landmarks[PoseLandmark.RIGHT_EAR]
+    );
+    
+    if (offset !== null && Math.abs(offset / bodyUnit) >= HEAD_PROFILE_OFFSET) {
+        return offset > 0;
+    }
+    
+    return isFacingRight(landmarks[PoseLandmark.LEFT_SHOULDER], landmarks[PoseLandmark.RIGHT_SHOULDER], leftHanded);
 }
 
 /**
@@ -0,0 +1,204 @@
+/**
+ * Video File Analysis
+ * Steps through a local video file frame by frame and runs each frame
+ * through MediaPipe, with the file's own timestamps as the clock, so a
+ * filmed bout or lesson is analysed the same way as a live session
+ */
+
+const FRAMES_TO_MEASURE = 8;
+const FRAME_CALLBACK_TIMEOUT_MS = 250;
+
+export class VideoFileAnalyzer {
+    /**
+     * @param {PoseDetector} poseDetector Initialized detector (not running live)
+     * @param {number} frameRate Assumed frame rate when the browser can't report the file's frames
+     */
+    constructor(poseDetector, frameRate = 30) {
+        this.poseDetector = poseDetector;
+        this.frameRate = frameRate;
+        this.isAnalyzing = false;
+        this.cancelled = false;
+        this.useFrameCallbacks = false;
+    }
+    
+    /**
+     * Analyse a video file
+     * @param {File|Blob} file Video file
+     * @param {Object} handlers
+     * @param {Function} handlers.onFrame (results, timestamp) for every frame, timestamp in ms of video time
+     * @param {Function} handlers.onProgress (fraction) after every frame
+     * @param {Function} handlers.onMetadata ({ width, height, duration }) once the file is read
+     * @returns {Promise<Object>} { duration, frameCount, cancelled }
+     */
+    async analyze(file, { onFrame, onProgress, onMetadata } = {}) {
+        if (this.isAnalyzing) {
+            throw new Error('Already analyzing a video');
+        }
+        
+        this.isAnalyzing = true;
+        this.cancelled = false;
+        
+        const video = document.createElement('video');
+        this.useFrameCallbacks = typeof video.requestVideoFrameCallback === 'function';
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.src = URL.createObjectURL(file);
+        
+        try {
+            await this.waitFor(video, 'loadeddata');
+            
+            const duration = video.duration;
+            if (!Number.isFinite(duration) || duration <= 0) {
+                throw new Error('Video has no readable duration');
+            }
+            
+            console.log(`[Analyzer] ${file.name || 'video'}: ${duration.toFixed(1)}s, ${video.videoWidth}x${video.videoHeight}`);
+            if (onMetadata) {
+                onMetadata({ width: video.videoWidth, height: video.videoHeight, duration });
+            }
+            
+            const interval = await this.measureFrameInterval(video);
+            // Less a hair, so float error in the interval can't add a frame past the end
+            const totalFrames = Math.ceil(duration / interval - 1e-3);
+            let frameCount = 0;
+            let lastFrameTime = null;
+            
+            for (let i = 0; i < totalFrames && !this.cancelled; i++) {
+                // Mid-frame, so rounding can't land on the neighbouring frame
+                const frameTime = await this.seekFrame(video, (i + 0.5) * interval);
+                
+                // null: the seek presented no new frame, so the last one is still shown
+                if (frameTime !== null && frameTime !== lastFrameTime) {
+                    lastFrameTime = frameTime;
+                    
+                    const results = await this.poseDetector.processFrame(video);
+                    if (results && onFrame) {
+                        onFrame(results, Math.round(frameTime * 1000));
+                    }
+                    frameCount++;
+                }
+                
+                if (onProgress) {
+                    onProgress((i + 1) / totalFrames);
+                }
+            }
+            
+            console.log(`[Analyzer] ${this.cancelled ? 'Cancelled' : 'Done'} after ${frameCount} frames`);
+            return { duration, frameCount, cancelled: this.cancelled };
+        } finally {
+            URL.revokeObjectURL(video.src);
+            video.removeAttribute('src');
+            this.isAnalyzing = false;
+        }
+    }
+    
+    /**
+     * Stop after the current frame
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+    
+    /**
+     * Seconds between the file's frames, from the media times of a few
+     * frames played muted; 1 / frameRate if the browser can't report them
+     */
+    async measureFrameInterval(video) {
+        let interval = Infinity;
+        
+        if (this.useFrameCallbacks) {
+            try {
+                await video.play();
+                
+                let lastTime = null;
+                for (let i = 0; i < FRAMES_TO_MEASURE; i++) {
+                    const metadata = await this.nextFrame(video);
+                    if (!metadata) break;
+                    
+                    // Smallest step, as callbacks can skip frames but never split one
+                    if (lastTime !== null && metadata.mediaTime > lastTime) {
+                        interval = Math.min(interval, metadata.mediaTime - lastTime);
+                    }
+                    lastTime = metadata.mediaTime;
+                }
+            } catch (e) {
+                console.warn('[Analyzer] Could not play video to measure its frame rate:', e);
+            }
+            video.pause();
+        }
+        
+        if (!Number.isFinite(interval)) {
+            console.warn(`[Analyzer] Frame rate unknown, sampling at ${this.frameRate} fps`);
+            this.useFrameCallbacks = false;
+            return 1 / this.frameRate;
+        }
+        
+        console.log(`[Analyzer] Frame rate ${(1 / interval).toFixed(2)} fps`);
+        return interval;
+    }
+    
+    /**
+     * Seek and wait for the frame there to be presented
+     * @returns {Promise<number|null>} Media time of that frame in seconds, null
+     *     if no new frame was presented
+     */
+    async seekFrame(video, time) {
+        if (!this.useFrameCallbacks) {
+            await this.seek(video, time);
+            // Without frame callbacks only the requested time is known
+            return video.currentTime;
+        }
+        
+        const presented = this.nextFrame(video);
+        await this.seek(video, time);
+        
+        const metadata = await presented;
+        return metadata ? metadata.mediaTime : null;
+    }
+    
+    async seek(video, time) {
+        const seeked = this.waitFor(video, 'seeked');
+        video.currentTime = time;
+        await seeked;
+    }
+    
+    /**
+     * Resolve with the metadata of the next presented frame, or null if none comes in time
+     */
+    nextFrame(video) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                video.cancelVideoFrameCallback(handle);
+                resolve(null);
+            }, FRAME_CALLBACK_TIMEOUT_MS);
+            const handle = video.requestVideoFrameCallback((now, metadata) => {
+                clearTimeout(timer);
+                resolve(metadata);
+            });
+        });
+    }
+    
+    /**
+     * Resolve on the element's next `eventName`, reject if the file can't be read
+     */
+    waitFor(video, eventName) {
+        return new Promise((resolve, reject) => {
+            const onEvent = () => {
+                cleanup();
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error(`Could not read video: ${video.error?.message || 'unsupported format'}`));
+            };
+            const cleanup = () => {
+                video.removeEventListener(eventName, onEvent);
+                video.removeEventListener('error', onError);
+            };
+            
+            video.addEventListener(eventName, onEvent);
+            video.addEventListener('error', onError);
+        });
+    }
+}
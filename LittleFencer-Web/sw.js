@@ -1,5 +1,5 @@
 // Service Worker for LittleFencer PWA
-const CACHE_NAME = 'littlefencer-v5';
+const CACHE_NAME = 'littlefencer-v21';
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
@@ -15,6 +15,16 @@ const ASSETS_TO_CACHE = [
     '/js/utils.js',
     '/js/platform.js',
     '/js/storage.js',
+    '/js/scale.js',
+    '/js/calibration.js',
+    '/js/profiles.js',
+    '/js/scoring.js',
+    '/js/corrections.js',
+    '/js/reps.js',
+    '/js/replay.js',
+    '/js/posetrack.js',
+    '/js/videoanalysis.js',
+    '/js/compositor.js',
     '/js/detectors/index.js',
     '/manifest.json',
     '/assets/icons/ic_launcher.png',
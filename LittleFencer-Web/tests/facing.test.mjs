@@ -0,0 +1,50 @@
+/**
+ * Facing direction fixture: the head rule and the shoulder fallback must
+ * read the same guard the same way, or a missed ear flips the fencer.
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// pose.js (for the landmark indices) reads the browser environment on import
+globalThis.window ??= globalThis;
+globalThis.matchMedia ??= () => ({ matches: false });
+if (!globalThis.navigator) globalThis.navigator = { userAgent: '', platform: '', vendor: '' };
+
+const { PoseLandmark } = await import('../js/pose.js');
+const { detectFacingRight } = await import('../js/utils.js');
+
+/**
+ * En garde in profile, facing right: nose ahead of the ears, weapon-side
+ * shoulder and foot leading. Mirrored for facing left.
+ */
+function guardPose({ leftHanded = false, facingRight = true, earVisibility = 1 } = {}) {
+    const landmarks = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.5, z: 0, visibility: 1 }));
+    const x = (offset) => 0.5 + (facingRight ? offset : -offset);
+    const weapon = leftHanded ? 'LEFT' : 'RIGHT';
+    const rear = leftHanded ? 'RIGHT' : 'LEFT';
+
+    landmarks[PoseLandmark.NOSE] = { x: x(0.04), y: 0.2, z: 0, visibility: 1 };
+    landmarks[PoseLandmark.LEFT_EAR] = { x: x(0), y: 0.2, z: 0, visibility: earVisibility };
+    landmarks[PoseLandmark.RIGHT_EAR] = { x: x(0), y: 0.2, z: 0, visibility: earVisibility };
+    landmarks[PoseLandmark[`${weapon}_SHOULDER`]] = { x: x(0.03), y: 0.3, z: 0, visibility: 1 };
+    landmarks[PoseLandmark[`${rear}_SHOULDER`]] = { x: x(-0.03), y: 0.3, z: 0, visibility: 1 };
+    landmarks[PoseLandmark[`${weapon}_ANKLE`]] = { x: x(0.12), y: 0.85, z: 0, visibility: 1 };
+    landmarks[PoseLandmark[`${rear}_ANKLE`]] = { x: x(-0.12), y: 0.85, z: 0, visibility: 1 };
+    return landmarks;
+}
+
+const BODY_UNIT = 0.3;
+
+for (const leftHanded of [false, true]) {
+    for (const facingRight of [true, false]) {
+        test(`${leftHanded ? 'left' : 'right'}-hander facing ${facingRight ? 'right' : 'left'}`, () => {
+            const withHead = detectFacingRight(guardPose({ leftHanded, facingRight }), BODY_UNIT, leftHanded);
+            const withoutEars = detectFacingRight(guardPose({ leftHanded, facingRight, earVisibility: 0.1 }), BODY_UNIT, leftHanded);
+
+            assert.equal(withHead, facingRight);
+            assert.equal(withoutEars, facingRight);
+        });
+    }
+}